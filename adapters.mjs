@@ -0,0 +1,195 @@
+/**
+ * block-inheritance-templating
+ * block based template rendering engine
+ *
+ * @package block-inheritance-templating
+ * @link https://github.com/Koudela/block-inheritance-templating/
+ * @copyright Copyright (c) 2022-2025 Thomas Koudela
+ * @license http://opensource.org/licenses/MIT MIT License
+ */
+
+import { render, renderStream } from './index.mjs'
+import { createRegistry, fsResolver } from './loader.mjs'
+import { isNull } from './util.mjs'
+
+export { negotiateLanguages, expressEngine, expressLocals, koaRender, fastifyView }
+
+const expressInternals = ['settings', '_locals', 'cache']
+
+/**
+ * @param {string} tag
+ *
+ * @returns {boolean} True if the tag is a well-formed BCP 47 language tag.
+ */
+function isLanguageTag(tag) {
+    try {
+        return Intl.getCanonicalLocales(tag).length === 1
+    } catch (e) {
+        return false
+    }
+}
+
+/**
+ * Returns the language fallback chain for an `Accept-Language` header. The
+ * languages are ordered by their quality. Malformed language tags are dropped.
+ * If `supported` languages are passed, other languages are dropped (a region
+ * specific language falls back to its base language). The `fallback` is
+ * appended.
+ *
+ * @param {string|null} header
+ * @param {Array<string>} supported
+ * @param {string|Array<string>} fallback
+ *
+ * @returns {Array<string>}
+ */
+function negotiateLanguages(header, supported=[], fallback='') {
+    const isSupported = lang => !supported.length || supported.some(item => item.toLowerCase() === lang.toLowerCase())
+    const normalize = lang => supported.find(item => item.toLowerCase() === lang.toLowerCase()) ?? lang
+    const langs = (header ?? '').split(',')
+        .map((part, index) => {
+            const [tag, ...params] = part.trim().split(';')
+            const quality = params.map(param => param.trim().match(/^q=([\d.]+)$/)).find(match => match)
+
+            return { tag: tag.trim(), quality: quality ? Number(quality[1]) : 1, index }
+        })
+        .filter(({ tag, quality }) => quality > 0 && isLanguageTag(tag))
+        .sort((a, b) => b.quality - a.quality || a.index - b.index)
+        .flatMap(({ tag }) => [tag, tag.split('-')[0]])
+        .filter(isSupported)
+        .map(normalize)
+
+    return [...new Set([...langs, ...(Array.isArray(fallback) ? fallback : [fallback])])].filter(lang => lang !== '')
+}
+
+/**
+ * @param {Object} config
+ * @param {string|null} root the template directory if no registry is configured
+ *
+ * @returns {Object} The configured registry or a registry that imports the templates from the `root` directory.
+ */
+function getRegistry(config, root) {
+    return config.registry ?? createRegistry(fsResolver(root, config.extension ?? '.mjs'))
+}
+
+/**
+ * @param {Object} config
+ * @param {Object} locals
+ * @param {string|null} acceptLanguage
+ *
+ * @returns {string|Array<string>} The `lang` local or the negotiated language fallback chain.
+ */
+function getLang(config, locals, acceptLanguage) {
+    return locals.lang ?? negotiateLanguages(acceptLanguage, config.languages ?? [], config.lang ?? '')
+}
+
+/**
+ * @param {Object} config
+ * @param {Object} registry
+ * @param {Array} args the `render()` arguments
+ *
+ * @returns {Promise<string|Readable>} The rendered template or a readable stream if `config.stream` is set.
+ */
+async function renderView(config, registry, ...args) {
+    const options = { ...config.options, registry }
+
+    if (!config.stream) return render(...args, options)
+
+    const { Readable } = await import('node:stream')
+
+    return Readable.from(renderStream(...args, options))
+}
+
+/**
+ * Returns an express view engine (`app.engine('mjs', expressEngine())`). The
+ * view name is resolved by the registry relative to the `views` directory.
+ * The locals (`app.locals`, `res.locals` and the locals passed to
+ * `res.render()`) are the variables. The language is the `lang` local (see
+ * `expressLocals()`) or the `config.lang`. Express view engines can not stream.
+ *
+ * @param {Object} config `config.registry`, `config.extension` (default `.mjs`), `config.lang`, `config.fnc`,
+ *                        `config.entrypoint` and `config.options` (the render options)
+ *
+ * @returns {function(string, Object, function): void}
+ */
+function expressEngine(config={}) {
+    const registries = new Map()
+
+    return (filePath, locals, callback) => {
+        (async () => {
+            const { relative, sep } = await import('node:path')
+            const root = locals.settings?.views ?? '.'
+            const views = Array.isArray(root) ? root.find(dir => !relative(dir, filePath).startsWith('..')) ?? root[0] : root
+            const name = relative(views, filePath).slice(0, -(config.extension ?? '.mjs').length).split(sep).join('/')
+            const variables = Object.fromEntries(Object.entries(locals).filter(([key]) => !expressInternals.includes(key)))
+
+            if (!registries.has(views)) registries.set(views, getRegistry(config, views))
+
+            return renderView({ ...config, stream: false }, registries.get(views), name, variables, getLang(config, locals, null), { ...config.fnc }, config.entrypoint ?? 'main')
+        })().then(rendered => callback(null, rendered), callback)
+    }
+}
+
+/**
+ * Returns an express middleware that sets the `lang` local to the language
+ * fallback chain negotiated from the `Accept-Language` header (unless the
+ * `lang` local is already set). Pass the same config as to `expressEngine()`.
+ *
+ * @param {Object} config `config.languages` the supported languages, `config.lang` the fallback language
+ *
+ * @returns {function(Object, Object, function): void}
+ */
+function expressLocals(config={}) {
+    return (req, res, next) => {
+        if (isNull(res.locals.lang)) res.locals.lang = negotiateLanguages(req.get('accept-language') ?? null, config.languages ?? [], config.lang ?? '')
+        next()
+    }
+}
+
+/**
+ * Returns a koa middleware that adds `ctx.render(name, locals={})`. The
+ * variables are the `ctx.state` merged with the `locals`. The language is the
+ * `lang` local or negotiated from the `Accept-Language` header. If
+ * `config.stream` is set, the body is streamed.
+ *
+ * @param {Object} config `config.registry`, `config.root` the template directory, `config.extension`,
+ *                        `config.languages` the supported languages, `config.lang` the fallback language,
+ *                        `config.fnc`, `config.entrypoint`, `config.options` and `config.stream`
+ *
+ * @returns {function(Object, function): Promise}
+ */
+function koaRender(config={}) {
+    const registry = getRegistry(config, config.root ?? 'views')
+
+    return async (ctx, next) => {
+        ctx.render = async (name, locals={}) => {
+            const variables = { ...ctx.state, ...locals }
+
+            ctx.type = 'html'
+            ctx.body = await renderView(config, registry, name, variables, getLang(config, variables, ctx.get('Accept-Language')), { ...config.fnc }, config.entrypoint ?? 'main')
+        }
+
+        await next()
+    }
+}
+
+/**
+ * A fastify plugin that adds `reply.render(name, locals={})`. The variables
+ * are the `reply.locals` (if set) merged with the `locals`. The language is
+ * the `lang` local or negotiated from the `Accept-Language` header. If
+ * `config.stream` is set, the body is streamed.
+ *
+ * @param {Object} fastify
+ * @param {Object} config the same as for `koaRender()`
+ */
+async function fastifyView(fastify, config={}) {
+    const registry = getRegistry(config, config.root ?? 'views')
+
+    fastify.decorateReply('render', async function(name, locals={}) {
+        const variables = { ...this.locals, ...locals }
+        const body = await renderView(config, registry, name, variables, getLang(config, variables, this.request.headers['accept-language'] ?? null), { ...config.fnc }, config.entrypoint ?? 'main')
+
+        return this.type('text/html; charset=utf-8').send(body)
+    })
+}
+
+fastifyView[Symbol.for('skip-override')] = true
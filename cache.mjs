@@ -0,0 +1,196 @@
+/**
+ * block-inheritance-templating
+ * block based template rendering engine
+ *
+ * @package block-inheritance-templating
+ * @link https://github.com/Koudela/block-inheritance-templating/
+ * @copyright Copyright (c) 2022-2025 Thomas Koudela
+ * @license http://opensource.org/licenses/MIT MIT License
+ */
+
+import { isNull } from './util.mjs'
+
+export { createBlockCache, lruStore }
+
+const processId = Math.random().toString(36).slice(2)
+
+const templateIds = new WeakMap()
+
+let templateCount = 0
+
+/**
+ * Returns an in-memory store that evicts the least recently used entry if
+ * more than `max` entries are stored. Entries expire after `ttl` milliseconds.
+ *
+ * @param {Object} options `options.max` (default 1000), `options.ttl` in ms (default unlimited), `options.now` the clock
+ *
+ * @returns {Object}
+ */
+function lruStore(options={}) {
+    const max = options.max ?? 1000
+    const ttl = options.ttl ?? Infinity
+    const now = options.now ?? Date.now
+    const entries = new Map()
+
+    return {
+        /**
+         * @param {string} key
+         *
+         * @returns {*|null} The stored value or null if it is missing or has expired.
+         */
+        get: (key) => {
+            const entry = entries.get(key)
+
+            if (isNull(entry)) return null
+
+            entries.delete(key)
+            if (entry.expires <= now()) return null
+            entries.set(key, entry)
+
+            return entry.value
+        },
+
+        /**
+         * @param {string} key
+         * @param {*} value
+         */
+        set: (key, value) => {
+            entries.delete(key)
+            entries.set(key, { value, expires: now() + ttl })
+            if (entries.size > max) entries.delete(entries.keys().next().value)
+        },
+
+        /**
+         * @param {string} key
+         */
+        delete: (key) => {
+            entries.delete(key)
+        },
+
+        clear: () => {
+            entries.clear()
+        },
+
+        /**
+         * @returns {int} The number of stored entries (including the expired ones).
+         */
+        get size() {
+            return entries.size
+        },
+    }
+}
+
+/**
+ * Returns a block cache for the `cache` option of `render()`. The variables a
+ * block reads are recorded while it is rendered. The rendered block is stored
+ * under a key that consists of the identity of the templates, the block name,
+ * the language, the iteration index and the values of the read variables.
+ *
+ * The `store` has to implement (async) `get(key)` and `set(key, value)`
+ * methods. Keys and values are strings. A `Map`, an `lruStore()` or a redis
+ * client can be used.
+ *
+ * @param {Object} store
+ * @param {Object} options `options.prefix` is prepended to all keys
+ *
+ * @returns {Object}
+ */
+function createBlockCache(store = lruStore(), options={}) {
+    const prefix = options.prefix ?? ''
+
+    /**
+     * @param {string} id
+     * @param {Array<string>} names
+     * @param {function(string): *} vars
+     *
+     * @returns {string|null} The key of the entry or null if a value can not be serialized.
+     */
+    const entryKey = (id, names, vars) => {
+        const values = serialize(names.map(name => vars(name)))
+
+        return values === null ? null : `${ prefix }${ id }\u0000${ JSON.stringify(names) }\u0000${ values }`
+    }
+
+    return {
+        store,
+
+        /**
+         * @param {Array<Object>} templates
+         * @param {Object|null} registry
+         * @param {...*} parts
+         *
+         * @returns {string} The identity of a block.
+         */
+        id: (templates, registry, ...parts) => JSON.stringify([
+            ...templates.map(template => registry?.nameOf(template) ?? template.name ?? templateId(template)),
+            ...parts,
+        ]),
+
+        /**
+         * Looks up the names of the variables the block has read the last time
+         * it was rendered and returns the entry for their current values.
+         *
+         * @param {string} id
+         * @param {function(string): *} vars
+         *
+         * @returns {Promise<Object|null>} `{ rendered, pushes, nonce }`
+         */
+        get: async (id, vars) => {
+            const names = await store.get(prefix + id)
+
+            if (isNull(names)) return null
+
+            const key = entryKey(id, JSON.parse(names), vars)
+            const entry = isNull(key) ? null : await store.get(key)
+
+            return isNull(entry) ? null : JSON.parse(entry)
+        },
+
+        /**
+         * @param {string} id
+         * @param {Array<string>} names the names of the read variables
+         * @param {function(string): *} vars
+         * @param {string} rendered
+         * @param {Array<Array>} pushes the asset stack pushes `[name, content, key]` of the block
+         * @param {string|null} nonce the nonce of the asset stack placeholders in `rendered`
+         */
+        set: async (id, names, vars, rendered, pushes=[], nonce=null) => {
+            const key = entryKey(id, names, vars)
+
+            if (isNull(key)) return
+
+            await store.set(prefix + id, JSON.stringify(names))
+            await store.set(key, JSON.stringify({ rendered, pushes, nonce }))
+        },
+    }
+}
+
+/**
+ * @param {Object} template
+ *
+ * @returns {string} The identity of an anonymous template. Unique to the process.
+ */
+function templateId(template) {
+    if (!templateIds.has(template)) templateIds.set(template, `anonymous template #${ templateCount++ } of ${ processId }`)
+
+    return templateIds.get(template)
+}
+
+/**
+ * @param {*} value
+ *
+ * @returns {string|null} The value as JSON or null if it holds functions, symbols, bigints or circular references.
+ */
+function serialize(value) {
+    try {
+        return JSON.stringify(value, (key, item) => {
+            if (typeof item === 'function' || typeof item === 'symbol') throw Error('not serializable')
+            if (item instanceof Map) return { Map: [...item] }
+            if (item instanceof Set) return { Set: [...item] }
+
+            return item
+        })
+    } catch (e) {
+        return null
+    }
+}
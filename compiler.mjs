@@ -0,0 +1,326 @@
+/**
+ * block-inheritance-templating
+ * block based template rendering engine
+ *
+ * @package block-inheritance-templating
+ * @link https://github.com/Koudela/block-inheritance-templating/
+ * @copyright Copyright (c) 2022-2025 Thomas Koudela
+ * @license http://opensource.org/licenses/MIT MIT License
+ */
+
+import { SafeString } from './escape.mjs'
+import { isNull } from './util.mjs'
+
+export { compile, TemplateSyntaxError }
+
+const tagPattern = /\{\{|\{%|\{#/g
+
+const closingDelimiter = { '{{': '}}', '{%': '%}', '{#': '#}' }
+
+const pathPattern = /^[a-zA-Z_$][\w$]*(\.[\w$]+)*$/
+
+const blockNamePattern = /^[\w@.-]+$/
+
+/**
+ * Thrown if a template source can not be parsed.
+ */
+class TemplateSyntaxError extends Error {
+    /**
+     * @param {string} message
+     * @param {string|null} name the template name
+     * @param {int} line
+     * @param {int} column
+     */
+    constructor(message, name, line, column) {
+        super(`${ message }${ name ? ` in "${ name }"` : '' } at line ${ line }, column ${ column }`)
+        this.name = 'TemplateSyntaxError'
+        this.templateName = name
+        this.line = line
+        this.column = column
+    }
+}
+
+/**
+ * Splits the `source` into text, output (`{{ ... }}`) and tag (`{% ... %}`)
+ * tokens. Comments (`{# ... #}`) are dropped.
+ *
+ * @param {string} source
+ * @param {function(string, int): TemplateSyntaxError} syntaxError
+ *
+ * @returns {Array<Object>}
+ */
+function tokenize(source, syntaxError) {
+    const tokens = []
+    let position = 0
+    let match
+
+    tagPattern.lastIndex = 0
+
+    while ((match = tagPattern.exec(source)) !== null) {
+        const end = source.indexOf(closingDelimiter[match[0]], match.index + 2)
+
+        if (end === -1) throw syntaxError(`unclosed '${ match[0] }'`, match.index)
+        if (match.index > position) tokens.push({ type: 'text', value: source.slice(position, match.index), position })
+
+        const value = source.slice(match.index + 2, end).trim()
+
+        if (match[0] === '{{') tokens.push({ type: 'output', value, position: match.index })
+        if (match[0] === '{%') tokens.push({ type: 'tag', value, position: match.index })
+
+        position = end + 2
+        tagPattern.lastIndex = position
+    }
+
+    if (position < source.length) tokens.push({ type: 'text', value: source.slice(position), position })
+
+    return tokens
+}
+
+/**
+ * @param {function} vars
+ * @param {Array<string>} path
+ *
+ * @returns {*|null}
+ */
+function lookup(vars, path) {
+    return path.slice(1).reduce((value, key) => isNull(value) ? null : value[key] ?? null, vars(path[0]))
+}
+
+/**
+ * @param {Object} token
+ *
+ * @returns {boolean} True if the token renders content by itself.
+ */
+function isContent(token) {
+    switch (token.type) {
+        case 'text': return token.value.trim() !== ''
+        case 'output': return true
+        default: return /^(for|trans)\b/.test(token.value)
+    }
+}
+
+/**
+ * @param {string} source
+ *
+ * @returns {string} A hash of the template source that identifies an anonymous template.
+ */
+function hash(source) {
+    let value = 0x811c9dc5
+
+    for (let i = 0; i < source.length; i++) value = Math.imul(value ^ source.charCodeAt(i), 0x01000193)
+
+    return (value >>> 0).toString(36)
+}
+
+/**
+ * Maps the items of a loop source and keeps its keys. Objects become Maps and
+ * async iterables stay async.
+ *
+ * @param {*} source
+ * @param {function(*): *} mapItem
+ *
+ * @returns {*} The source for `fnc.iterate`.
+ */
+function mapLoopSource(source, mapItem) {
+    if (isNull(source)) return []
+    if (Array.isArray(source)) return source.map(mapItem)
+    if (source instanceof Map) return new Map([...source].map(([key, item]) => [key, mapItem(item)]))
+    if (typeof source[Symbol.asyncIterator] === 'function') {
+        return (async function* () {
+            for await (const item of source) yield mapItem(item)
+        })()
+    }
+    if (typeof source[Symbol.iterator] === 'function') return Array.from(source, mapItem)
+    if (typeof source === 'object') return new Map(Object.entries(source).map(([key, item]) => [key, mapItem(item)]))
+
+    return source
+}
+
+/**
+ * Evaluates the parsed nodes in the rendering context of a block.
+ *
+ * @param {Array<Object>} nodes
+ * @param {function} vars
+ * @param {Object} local
+ * @param {Object} fnc
+ *
+ * @returns {Promise<SafeString>}
+ */
+async function evaluate(nodes, vars, local, fnc) {
+    let rendered = ''
+
+    for (const node of nodes) {
+        switch (node.type) {
+            case 'text':
+                rendered += node.value
+                break
+            case 'output':
+                rendered += local.escape.html(lookup(vars, node.path) ?? '')
+                break
+            case 'parent':
+                rendered += await local.parent()
+                break
+            case 'block':
+                rendered += await fnc.block(node.name, local.vars)
+                break
+            case 'for':
+                rendered += await fnc.iterate(node.name, mapLoopSource(lookup(vars, node.path),
+                    item => name => name === node.variable ? item : local.vars(name)
+                ))
+                break
+            case 'trans':
+                rendered += local.escape.html(await local.trans(node.item, node.category))
+                break
+        }
+    }
+
+    return new SafeString(rendered)
+}
+
+/**
+ * Compiles a Twig/Jinja-style template source into a template object.
+ *
+ * - `{% extends "name" %}` sets the parent template
+ * - `{% block name %}...{% endblock %}` defines a block and renders it in place (`fnc.block`)
+ * - `{{ parent() }}` renders the parent block (`local.parent`)
+ * - `{{ some.var }}` prints the escaped variable (`vars`)
+ * - `{% for item in items %}...{% endfor %}` renders the body for each item of an array, object, Map or (async)
+ *   iterable (`fnc.iterate`)
+ * - `{% trans %}...{% endtrans %}` or `{% trans from "category" %}...{% endtrans %}` translates the text (`local.trans`)
+ * - `{# ... #}` is a comment
+ *
+ * The content of a template that does not extend another template is the
+ * `main` block.
+ *
+ * @param {string} source
+ * @param {Object} options `options.name` the name of the template used in error messages, `options.templates` a
+ *                         dictionary or function that returns the template for an extended template name. If
+ *                         omitted the name is kept as `parent` to be resolved by a registry.
+ *
+ * @returns {Object} The template.
+ */
+function compile(source, options={}) {
+    const name = options.name ?? null
+    const template = name === null ? { parent: null, block: {} } : { name, parent: null, block: {} }
+    const loopPrefix = `for#${ name ?? hash(source) }#`
+    let parentName = null
+    let contentPosition = null
+    let loopCount = 0
+
+    const syntaxError = (message, position) => {
+        const lines = source.slice(0, position).split('\n')
+
+        return new TemplateSyntaxError(message, name, lines.length, lines[lines.length - 1].length + 1)
+    }
+
+    const tokens = tokenize(source, syntaxError)
+    let index = 0
+
+    const define = (blockName, nodes, token) => {
+        if (blockName in template.block) throw syntaxError(`block '${ blockName }' is already defined`, token.position)
+
+        template.block[blockName] = async (vars, local, fnc) => await evaluate(nodes, vars, local, fnc)
+    }
+
+    /**
+     * Parses the tokens until one of the `endTags` is reached.
+     *
+     * @param {Array<string>} endTags
+     * @param {Object} context
+     *
+     * @returns {Array<Object>} The nodes.
+     */
+    const parse = (endTags, context) => {
+        const nodes = []
+
+        while (index < tokens.length) {
+            const token = tokens[index++]
+
+            if (context.depth === 0 && contentPosition === null && isContent(token)) contentPosition = token.position
+
+            if (token.type === 'text') {
+                nodes.push({ type: 'text', value: token.value })
+                continue
+            }
+
+            if (token.type === 'output') {
+                if (token.value === 'parent()') {
+                    if (!context.inBlock) throw syntaxError('parent() can only be used inside a block', token.position)
+                    if (context.inLoop) throw syntaxError('parent() can not be used inside a for loop', token.position)
+                    nodes.push({ type: 'parent' })
+                    continue
+                }
+                if (!pathPattern.test(token.value)) throw syntaxError(`invalid expression '${ token.value }'`, token.position)
+                nodes.push({ type: 'output', path: token.value.split('.') })
+                continue
+            }
+
+            const [tag, ...args] = token.value.split(/\s+/)
+
+            if (endTags.includes(tag)) return nodes
+
+            switch (tag) {
+                case 'extends': {
+                    const match = token.value.match(/^extends\s+(["'])(.+?)\1$/)
+
+                    if (!match) throw syntaxError('expected {% extends "name" %}', token.position)
+                    if (context.depth > 0) throw syntaxError('extends can only be used on the top level', token.position)
+                    if (parentName !== null) throw syntaxError('extends can only be used once', token.position)
+                    parentName = match[2]
+                    if (!options.templates) {
+                        template.parent = parentName
+                        break
+                    }
+                    template.parent = (typeof options.templates === 'function' ? options.templates(parentName) : options.templates[parentName]) ?? null
+                    if (template.parent === null) throw syntaxError(`unknown template '${ parentName }'`, token.position)
+                    break
+                }
+                case 'block': {
+                    const blockName = args[0] ?? ''
+
+                    if (args.length !== 1 || !blockNamePattern.test(blockName)) throw syntaxError('expected {% block name %}', token.position)
+                    const body = parse(['endblock'], { depth: context.depth + 1, inBlock: true, inLoop: false })
+                    define(blockName, body, token)
+                    nodes.push({ type: 'block', name: blockName })
+                    break
+                }
+                case 'for': {
+                    const match = token.value.match(/^for\s+([a-zA-Z_$][\w$]*)\s+in\s+(\S+)$/)
+
+                    if (!match) throw syntaxError('expected {% for item in items %}', token.position)
+                    if (!pathPattern.test(match[2])) throw syntaxError(`invalid expression '${ match[2] }'`, token.position)
+                    const loopName = `${ loopPrefix }${ ++loopCount }`
+                    const body = parse(['endfor'], { ...context, depth: context.depth + 1, inLoop: true })
+                    define(loopName, body, token)
+                    nodes.push({ type: 'for', name: loopName, variable: match[1], path: match[2].split('.') })
+                    break
+                }
+                case 'trans': {
+                    const match = token.value.match(/^trans(?:\s+from\s+(["'])(.*?)\1)?$/)
+
+                    if (!match) throw syntaxError('expected {% trans %} or {% trans from "category" %}', token.position)
+                    const text = tokens[index]?.type === 'text' ? tokens[index++] : null
+                    if (tokens[index]?.type !== 'tag' || tokens[index].value !== 'endtrans') {
+                        throw syntaxError('{% trans %} can only contain text', tokens[index]?.position ?? token.position)
+                    }
+                    index++
+                    nodes.push({ type: 'trans', item: text ? text.value.trim() : '', category: match[2] ?? null })
+                    break
+                }
+                default:
+                    throw syntaxError(`unexpected tag '${ tag }'`, token.position)
+            }
+        }
+
+        if (endTags.length) throw syntaxError(`missing {% ${ endTags[0] } %}`, source.length)
+
+        return nodes
+    }
+
+    const nodes = parse([], { depth: 0, inBlock: false, inLoop: false })
+
+    if (parentName === null) define('main', nodes, { position: 0 })
+    else if (contentPosition !== null) throw syntaxError('a template that extends another template can not have content outside of blocks', contentPosition)
+
+    return template
+}
@@ -0,0 +1,172 @@
+/**
+ * block-inheritance-templating
+ * block based template rendering engine
+ *
+ * @package block-inheritance-templating
+ * @link https://github.com/Koudela/block-inheritance-templating/
+ * @copyright Copyright (c) 2022-2025 Thomas Koudela
+ * @license http://opensource.org/licenses/MIT MIT License
+ */
+
+export { SafeString, escapeHtml, html, strictHtml, createEscape }
+
+const htmlEntities = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;',
+}
+
+const safeUrlSchemes = ['http', 'https', 'mailto', 'tel']
+
+/**
+ * A string that is safe to be used in html without escaping.
+ */
+class SafeString {
+    /**
+     * @param {*} value
+     */
+    constructor(value) {
+        this.value = '' + value
+    }
+
+    toString() {
+        return this.value
+    }
+}
+
+/**
+ * Escapes `value` for the use in html body and quoted attribute context.
+ * Instances of `SafeString` are returned unescaped, arrays are escaped item by
+ * item and joined.
+ *
+ * @param {*} value
+ *
+ * @returns {string}
+ */
+function escapeHtml(value) {
+    if (value instanceof SafeString) return value.toString()
+    if (Array.isArray(value)) return value.map(escapeHtml).join('')
+
+    return ('' + value).replace(/[&<>"']/g, char => htmlEntities[char])
+}
+
+/**
+ * Tagged template literal function. Escapes all interpolated values that are
+ * not already safe.
+ *
+ * @param {Array<string>} strings
+ * @param {...*} values
+ *
+ * @returns {SafeString}
+ */
+function html(strings, ...values) {
+    return new SafeString(strings.reduce((result, string, index) => result + escapeHtml(values[index - 1]) + string))
+}
+
+/**
+ * @param {*} value
+ *
+ * @returns {boolean} True if `value` has a meaningful string representation.
+ */
+function isPrintable(value) {
+    switch (typeof value) {
+        case 'string': case 'boolean': case 'bigint': return true
+        case 'number': return Number.isFinite(value)
+        case 'object': return value instanceof SafeString || (Array.isArray(value) && value.every(isPrintable))
+        default: return false
+    }
+}
+
+/**
+ * Throws if `value` has no meaningful string representation.
+ *
+ * @param {*} value
+ * @param {string} context
+ *
+ * @returns {*} The `value`.
+ */
+function assertPrintable(value, context) {
+    if (!isPrintable(value)) throw Error(`unsafe value '${ String(value) }' of type ${ value === null ? 'null' : typeof value } in ${ context } context`)
+
+    return value
+}
+
+/**
+ * Same as html() but throws on values without a meaningful string
+ * representation (`null`, `undefined`, objects, functions, `NaN`,...).
+ *
+ * @param {Array<string>} strings
+ * @param {...*} values
+ *
+ * @returns {SafeString}
+ */
+function strictHtml(strings, ...values) {
+    return html(strings, ...values.map(value => assertPrintable(value, 'html')))
+}
+
+/**
+ * @param {string} value
+ * @param {RegExp} pattern characters to replace
+ * @param {function(int): string} replacement gets the char code
+ *
+ * @returns {string}
+ */
+function replaceChars(value, pattern, replacement) {
+    return value.replace(pattern, char => replacement(char.charCodeAt(0)))
+}
+
+/**
+ * @param {string} url
+ *
+ * @returns {string|null} The lower case scheme of `url` or null if it is a relative url.
+ */
+function getScheme(url) {
+    const match = url.replace(/[\u0000-\u0020\u007F-\u009F]/g, '').match(/^([a-z][a-z0-9+.-]*):/i)
+
+    return match ? match[1].toLowerCase() : null
+}
+
+/**
+ * Returns the escaping functions for the html body, attribute, url, javascript
+ * string, css and inline script json context. All of them return a
+ * `SafeString`. In strict mode they throw on values without a meaningful
+ * string representation and on urls with a scheme other than http, https,
+ * mailto and tel. Otherwise such urls are replaced by `about:invalid`.
+ *
+ * @param {boolean} strict
+ *
+ * @returns {Object}
+ */
+function createEscape(strict=false) {
+    const check = (value, context) => strict ? assertPrintable(value, context) : value
+
+    return {
+        html: value => new SafeString(escapeHtml(check(value, 'html'))),
+        attr: value => new SafeString(replaceChars('' + check(value, 'attribute'), /[^a-zA-Z0-9,.\-_\u0100-\uFFFF]/g, code => `&#x${ code.toString(16) };`)),
+        url: value => {
+            let url = '' + check(value, 'url')
+            const scheme = getScheme(url)
+
+            if (scheme !== null && !safeUrlSchemes.includes(scheme)) {
+                if (strict) throw Error(`unsafe url scheme '${ scheme }:' in url '${ url }'`)
+                url = 'about:invalid'
+            }
+
+            return new SafeString(escapeHtml(url.replace(/[^\w\-.~:/?#[\]@!$&'()*+,;=%]/gu, encodeURIComponent)))
+        },
+        js: value => new SafeString(replaceChars('' + check(value, 'javascript'), /[^a-zA-Z0-9,._ ]/g, code => `\\u${ code.toString(16).padStart(4, '0') }`)),
+        css: value => new SafeString(replaceChars('' + check(value, 'css'), /[^a-zA-Z0-9]/g, code => `\\${ code.toString(16) } `)),
+        json: value => {
+            const json = JSON.stringify(value)
+
+            if (typeof json !== 'string') {
+                if (strict) throw Error(`unsafe value '${ String(value) }' of type ${ typeof value } in json context`)
+                return new SafeString('null')
+            }
+
+            return new SafeString(replaceChars(json, /[<>&\u2028\u2029]/g, code => `\\u${ code.toString(16).padStart(4, '0') }`))
+        },
+    }
+}
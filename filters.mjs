@@ -0,0 +1,127 @@
+/**
+ * block-inheritance-templating
+ * block based template rendering engine
+ *
+ * @package block-inheritance-templating
+ * @link https://github.com/Koudela/block-inheritance-templating/
+ * @copyright Copyright (c) 2022-2025 Thomas Koudela
+ * @license http://opensource.org/licenses/MIT MIT License
+ */
+
+export { builtinFilters }
+
+/**
+ * @param {Object} local
+ *
+ * @returns {Array<string>} The locales for the `Intl` formatters (the language fallback chain).
+ */
+function locales(local) {
+    return (local?.langs ?? [local?.lang ?? '']).filter(lang => lang !== '')
+}
+
+/**
+ * The built-in filters. A filter is called with the `local` object of the
+ * block as `this`, the value and the filter arguments. The `Intl` based
+ * filters use the language fallback chain of the rendering.
+ */
+const builtinFilters = {
+    /**
+     * @param {number} value
+     * @param {Object} options the `Intl.NumberFormat` options
+     *
+     * @returns {string}
+     */
+    number: function(value, options={}) {
+        return new Intl.NumberFormat(locales(this), options).format(value)
+    },
+
+    /**
+     * @param {number} value
+     * @param {string} currency the ISO 4217 currency code
+     *
+     * @returns {string}
+     */
+    currency: function(value, currency) {
+        return new Intl.NumberFormat(locales(this), { style: 'currency', currency }).format(value)
+    },
+
+    /**
+     * @param {number} value the fraction (0.5 is 50%)
+     *
+     * @returns {string}
+     */
+    percent: function(value) {
+        return new Intl.NumberFormat(locales(this), { style: 'percent' }).format(value)
+    },
+
+    /**
+     * @param {Date|number} value
+     * @param {string} style `short`, `medium`, `long` or `full`
+     *
+     * @returns {string}
+     */
+    date: function(value, style='medium') {
+        return new Intl.DateTimeFormat(locales(this), { dateStyle: style }).format(value)
+    },
+
+    /**
+     * @param {Date|number} value
+     * @param {string} style `short`, `medium`, `long` or `full`
+     *
+     * @returns {string}
+     */
+    time: function(value, style='short') {
+        return new Intl.DateTimeFormat(locales(this), { timeStyle: style }).format(value)
+    },
+
+    /**
+     * @param {number} value
+     * @param {string} unit `second`, `minute`, `hour`, `day`, `week`, `month`, `quarter` or `year`
+     *
+     * @returns {string}
+     */
+    relative: function(value, unit) {
+        return new Intl.RelativeTimeFormat(locales(this), { numeric: 'auto' }).format(value, unit)
+    },
+
+    /**
+     * @param {Array<string>} value
+     * @param {string} type `conjunction`, `disjunction` or `unit`
+     *
+     * @returns {string}
+     */
+    list: function(value, type='conjunction') {
+        return new Intl.ListFormat(locales(this), { type }).format(value)
+    },
+
+    upper: function(value) {
+        return String(value).toLocaleUpperCase(locales(this))
+    },
+
+    lower: function(value) {
+        return String(value).toLocaleLowerCase(locales(this))
+    },
+
+    capitalize: function(value) {
+        const string = String(value)
+
+        return string.slice(0, 1).toLocaleUpperCase(locales(this)) + string.slice(1)
+    },
+
+    trim: function(value) {
+        return String(value).trim()
+    },
+
+    /**
+     * @param {string} value
+     * @param {int} length the maximal length including the ellipsis
+     * @param {string} ellipsis
+     *
+     * @returns {string}
+     */
+    truncate: function(value, length, ellipsis='…') {
+        const chars = [...String(value)]
+
+        return chars.length <= length ? chars.join('') : chars.slice(0, Math.max(0, length - ellipsis.length)).join('') + ellipsis
+    },
+}
@@ -0,0 +1,237 @@
+/**
+ * block-inheritance-templating
+ * block based template rendering engine
+ *
+ * @package block-inheritance-templating
+ * @link https://github.com/Koudela/block-inheritance-templating/
+ * @copyright Copyright (c) 2022-2025 Thomas Koudela
+ * @license http://opensource.org/licenses/MIT MIT License
+ */
+
+import { isNull } from './util.mjs'
+
+export { formatMessage, createCatalogTrans }
+
+const parsed = new Map()
+
+const numberStyles = {
+    integer: { maximumFractionDigits: 0 },
+    percent: { style: 'percent' },
+}
+
+/**
+ * Parses an ICU message (or the part of it that starts at `position`) until
+ * the end or the closing brace of the enclosing argument.
+ *
+ * @param {string} message
+ * @param {int} position
+ * @param {boolean} inPlural true if `#` is the number of the enclosing plural argument
+ *
+ * @returns {Array} The nodes and the position after the parsed part.
+ */
+function parseNodes(message, position, inPlural) {
+    const nodes = []
+    let text = ''
+
+    while (position < message.length) {
+        const char = message[position]
+
+        if (char === '}') break
+        if (char === '{' || (char === '#' && inPlural)) {
+            if (text !== '') nodes.push(text)
+            text = ''
+            if (char === '#') {
+                nodes.push({ type: 'pound' })
+                position += 1
+                continue
+            }
+            const [argument, next] = parseArgument(message, position + 1, inPlural)
+            nodes.push(argument)
+            position = next
+            continue
+        }
+        if (char === "'" && message[position + 1] === "'") {
+            text += "'"
+            position += 2
+            continue
+        }
+        if (char === "'" && /[{}#|]/.test(message[position + 1] ?? '')) {
+            const end = message.indexOf("'", position + 1)
+
+            text += message.slice(position + 1, end === -1 ? message.length : end)
+            position = end === -1 ? message.length : end + 1
+            continue
+        }
+        text += char
+        position += 1
+    }
+
+    if (text !== '') nodes.push(text)
+
+    return [nodes, position]
+}
+
+/**
+ * @param {string} message
+ * @param {int} position the position after the opening brace
+ * @param {boolean} inPlural true if the argument is nested in a plural argument
+ *
+ * @returns {Array} The argument node and the position after its closing brace.
+ */
+function parseArgument(message, position, inPlural) {
+    const argumentStart = position - 1
+    const syntaxError = (reason, at) => Error(`${ reason } at position ${ at } of message '${ message }'`)
+    const readUntil = (pattern) => {
+        const start = position
+
+        while (position < message.length && !pattern.test(message[position])) position += 1
+        if (position >= message.length) throw syntaxError('unclosed argument', start - 1)
+
+        return message.slice(start, position).trim()
+    }
+
+    const name = readUntil(/[,}]/)
+
+    if (name === '') throw syntaxError('missing argument name', position)
+    if (message[position] === '}') return [{ type: 'argument', name, source: message.slice(argumentStart, position + 1) }, position + 1]
+
+    position += 1
+
+    const type = readUntil(/[,}]/)
+
+    if (['number', 'date', 'time'].includes(type)) {
+        let style = null
+
+        if (message[position] === ',') {
+            position += 1
+            style = readUntil(/}/)
+        }
+
+        return [{ type, name, style, source: message.slice(argumentStart, position + 1) }, position + 1]
+    }
+    if (!['plural', 'selectordinal', 'select'].includes(type)) throw syntaxError(`unknown argument type '${ type }'`, position)
+    if (message[position] !== ',') throw syntaxError(`missing options of the ${ type } argument '${ name }'`, position)
+
+    const options = {}
+    let offset = 0
+
+    position += 1
+
+    for (;;) {
+        let selector = readUntil(/[{}]/)
+
+        if (message[position] === '}') {
+            if (selector !== '') throw syntaxError(`missing message of option '${ selector }'`, position)
+            break
+        }
+        if (type !== 'select' && selector.startsWith('offset:')) {
+            const match = selector.match(/^offset:\s*(\d+)\s+(\S+)$/)
+
+            if (!match) throw syntaxError('expected offset:n followed by an option', position)
+            offset = Number(match[1])
+            selector = match[2]
+        }
+        if (selector === '' || /\s/.test(selector)) throw syntaxError(`invalid option selector '${ selector }'`, position)
+
+        const [nodes, next] = parseNodes(message, position + 1, inPlural || type !== 'select')
+
+        if (message[next] !== '}') throw syntaxError(`unclosed option '${ selector }'`, position)
+        options[selector] = nodes
+        position = next + 1
+    }
+
+    if (!('other' in options)) throw syntaxError(`the ${ type } argument '${ name }' requires an 'other' option`, position)
+
+    return [{ type, name, options, offset, source: message.slice(argumentStart, position + 1) }, position + 1]
+}
+
+/**
+ * @param {string} message
+ *
+ * @returns {Array} The (cached) parsed message.
+ */
+function parse(message) {
+    if (!parsed.has(message)) {
+        const [nodes, position] = parseNodes(message, 0, false)
+
+        if (position < message.length) throw Error(`unexpected '}' at position ${ position } of message '${ message }'`)
+        parsed.set(message, nodes)
+    }
+
+    return parsed.get(message)
+}
+
+/**
+ * @param {Array} nodes
+ * @param {Object} params
+ * @param {string|undefined} locale
+ * @param {number|null} number the number `#` stands for
+ *
+ * @returns {string}
+ */
+function format(nodes, params, locale, number=null) {
+    return nodes.map(node => {
+        if (typeof node === 'string') return node
+
+        const value = params[node.name]
+
+        if (node.type !== 'pound' && isNull(value)) return node.source
+
+        switch (node.type) {
+            case 'pound':
+                return new Intl.NumberFormat(locale).format(number)
+            case 'number':
+                return new Intl.NumberFormat(locale, numberStyles[node.style] ?? {}).format(value)
+            case 'date':
+                return new Intl.DateTimeFormat(locale, { dateStyle: node.style ?? 'medium' }).format(value)
+            case 'time':
+                return new Intl.DateTimeFormat(locale, { timeStyle: node.style ?? 'medium' }).format(value)
+            case 'select':
+                return format(node.options[String(value)] ?? node.options.other, params, locale, number)
+            case 'plural':
+            case 'selectordinal': {
+                const rules = new Intl.PluralRules(locale, { type: node.type === 'plural' ? 'cardinal' : 'ordinal' })
+                const option = node.options[`=${ value }`] ?? node.options[rules.select(value - node.offset)] ?? node.options.other
+
+                return format(option, params, locale, value - node.offset)
+            }
+            default:
+                return String(value)
+        }
+    }).join('')
+}
+
+/**
+ * Formats an ICU MessageFormat message. Supports simple arguments
+ * `{name}`, `{name, number}` (styles `integer` and `percent`),
+ * `{name, date}` and `{name, time}` (styles `short`, `medium`, `long` and
+ * `full`), `{name, plural, ...}` (with `offset:n`, `=n` and `#`),
+ * `{name, selectordinal, ...}` and `{name, select, ...}`. Arguments without a
+ * param are kept as is.
+ *
+ * @param {string} message
+ * @param {Object} params
+ * @param {string} lang the locale for the `Intl` formatters. The default locale if empty.
+ *
+ * @returns {string}
+ */
+function formatMessage(message, params={}, lang='') {
+    return format(parse(message), params ?? {}, lang === '' ? undefined : lang)
+}
+
+/**
+ * Returns a `trans()` function that looks up the translations in a (JSON)
+ * catalog `{ [lang]: { [category]: { [item]: message } } }`.
+ *
+ * @param {Object} catalog
+ * @param {Object} options `options.defaultCategory` is the category of items translated without a category (default `messages`)
+ *
+ * @returns {function(string, string|null, string): string|null}
+ */
+function createCatalogTrans(catalog, options={}) {
+    const defaultCategory = options.defaultCategory ?? 'messages'
+
+    const own = (object, key) => !isNull(object) && Object.hasOwn(object, key) ? object[key] : null
+
+    return (item, category, lang) => own(own(own(catalog, lang), category ?? defaultCategory), item)
+}
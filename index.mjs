@@ -8,14 +8,59 @@
  * @license http://opensource.org/licenses/MIT MIT License
  */
 
-export { render }
+import { SafeString, escapeHtml, html, strictHtml, createEscape } from './escape.mjs'
+import { compile, TemplateSyntaxError } from './compiler.mjs'
+import { createRegistry, mapResolver, fsResolver } from './loader.mjs'
+import { createTracer } from './profiler.mjs'
+import { createBlockCache, lruStore } from './cache.mjs'
+import { formatMessage, createCatalogTrans } from './i18n.mjs'
+import { negotiateLanguages, expressEngine, expressLocals, koaRender, fastifyView } from './adapters.mjs'
+import { builtinFilters } from './filters.mjs'
+import { isNull } from './util.mjs'
 
-const maxBlockCount = 1000
-
-function isNull(item) {
-    return item === null || typeof item === 'undefined'
+export {
+    render, renderStream, RenderError, inspect, validate,
+    SafeString, escapeHtml, html, createEscape,
+    compile, TemplateSyntaxError,
+    createRegistry, mapResolver, fsResolver,
+    createTracer,
+    createBlockCache, lruStore,
+    formatMessage, createCatalogTrans,
+    negotiateLanguages, expressEngine, expressLocals, koaRender, fastifyView,
+    builtinFilters,
 }
 
+const defaultMaxBlockCount = 1000
+
+// node 16 and 18 expose the web crypto api only via node:crypto
+const webCrypto = isFnc(globalThis.crypto?.getRandomValues) ? globalThis.crypto : (await import('node:crypto')).webcrypto
+
+const stackNonce = createNonce()
+
+const stackPattern = new RegExp(`\uE002${ stackNonce }([^\uE003]*)\uE003`, 'g')
+
+const outerFrame = Symbol('outerFrame')
+
+const sharedStacks = Symbol('sharedStacks')
+
+const sharedContext = Symbol('sharedContext')
+
+const sharedBlockCount = Symbol('sharedBlockCount')
+
+const accessed = Symbol('accessed')
+
+const specialFunctions = ['trans', 'onError', 'getCache', 'setCache', 'preRender', 'postRender', 'preCall', 'postCall']
+
+const middlewareFunctions = ['trans', 'onError', 'getCache']
+
+const globalPlugins = []
+
+const embedChildren = new WeakMap()
+
+const freshEmbedChildren = new WeakSet()
+
+const noOverrides = Object.freeze({})
+
 function isFnc(item) {
     return typeof item === 'function'
 }
@@ -28,6 +73,39 @@ function rethrow(e) {
     throw e
 }
 
+/**
+ * Thrown if rendering a block fails. The original error is the `cause`. The
+ * `blockStack` holds a frame for each block the error has passed, starting
+ * with the block that has thrown.
+ */
+class RenderError extends Error {
+    /**
+     * @param {*} cause
+     * @param {Object} frame
+     */
+    constructor(cause, frame) {
+        super(cause instanceof Error ? cause.message : String(cause), { cause })
+        this.name = 'RenderError'
+        this.blockStack = []
+        this.addFrame(frame)
+    }
+
+    /**
+     * @param {Object} frame `{ block, template, templateName, index, entrypoint }`
+     *
+     * @returns {RenderError}
+     */
+    addFrame(frame) {
+        this.blockStack.push(frame)
+        this.message = [this.cause instanceof Error ? this.cause.message : String(this.cause), ...this.blockStack.map(frame =>
+            `    at block '${ frame.block }' of ${ isNull(frame.templateName) ? 'anonymous template' : `template '${ frame.templateName }'` }`
+            + `${ isNull(frame.index) ? '' : ` at index ${ frame.index }` } (entrypoint '${ frame.entrypoint }')`
+        )].join('\n')
+
+        return this
+    }
+}
+
 /**
  * @param {*} fct
  * @param {Array} args
@@ -59,22 +137,295 @@ function getDictionary(dictionary) {
 }
 
 /**
+ * The returned `local.vars` records the names of the read variables.
+ *
  * @param {function|Object|null} dictionary
- * @param {int|null} index
+ * @param {Object|null} loop the loop metadata if rendered by `iterate()`
  *
  * @return Object
  */
-function getLocalObj(dictionary, index=null) {
+function getLocalObj(dictionary, loop=null) {
+    const lookup = getDictionary(dictionary)
+    const names = new Set()
+
     return {
-        vars: getDictionary(dictionary),
-        index: index,
+        vars: (name, ...args) => {
+            names.add(name)
+            return lookup(name, ...args)
+        },
+        index: loop?.index ?? null,
+        loop: loop,
+        [accessed]: names,
     }
 }
 
-function iterateChain(tpl, callback, result=null) {
+/**
+ * @param {Array|Object|Map|Iterable|AsyncIterable|null} data
+ *
+ * @return {Promise<Array<Array>>} The `[key, item]` entries of the data. Arrays and other iterables are keyed by
+ *                                 their index.
+ */
+async function getLoopEntries(data) {
+    if (isNull(data)) return []
+    if (data instanceof Map) return [...data]
+    if (Array.isArray(data)) return data.map((item, index) => [index, item])
+
+    const items = []
+
+    if (isFnc(data[Symbol.asyncIterator])) {
+        for await (const item of data) items.push([items.length, item])
+        return items
+    }
+    if (isFnc(data[Symbol.iterator])) return Array.from(data, (item, index) => [index, item])
+    if (typeof data === 'object') return Object.entries(data)
+
+    error(`can not iterate over ${ typeof data }`)
+}
+
+/**
+ * Returns the scheduler for the items of an `iterate()` call. At most
+ * `concurrency` items are rendered at once, in the order they are scheduled.
+ * The items of a chunk start after all items of the previous chunk are done.
+ *
+ * @param {int} concurrency
+ * @param {int} chunk the number of items per chunk
+ *
+ * @return {function(int, function(): Promise): Promise} Runs the task of the item at the passed index.
+ */
+function createScheduler(concurrency, chunk) {
+    if (concurrency === Infinity && chunk === Infinity) return (index, task) => task()
+
+    const queue = []
+    const done = []
+    let running = 0
+
+    const next = () => {
+        if (running >= concurrency || queue.length === 0) return
+        running += 1
+        queue.shift()()
+    }
+
+    return async (index, task) => {
+        let finish
+        const chunkStart = index - index % chunk
+
+        done[index] = new Promise(resolve => finish = resolve)
+
+        if (chunkStart > 0) await Promise.all(done.slice(chunkStart - chunk, chunkStart))
+        await new Promise(resolve => {
+            queue.push(resolve)
+            next()
+        })
+
+        try {
+            return await task()
+        } finally {
+            running -= 1
+            finish()
+            next()
+        }
+    }
+}
+
+/**
+ * @param {*} value
+ * @param {string} name
+ *
+ * @return {int} The value if it is a positive integer or infinity.
+ */
+function getLimit(value, name) {
+    if (isNull(value)) return Infinity
+    if (value !== Infinity && (!Number.isInteger(value) || value < 1)) error(`iterate option '${ name }' has to be a positive integer`)
+
+    return value
+}
+
+/**
+ * Returns the anonymous child of `parent` that holds the `overrides` blocks.
+ * The same child is returned for the same `parent` and `overrides` object,
+ * thus it keeps its identity in the block cache. A newly created child is
+ * fresh until it is embedded again.
+ *
+ * @param {Object} parent
+ * @param {Object} overrides
+ *
+ * @return {Object}
+ */
+function getEmbedChild(parent, overrides) {
+    if (!embedChildren.has(parent)) embedChildren.set(parent, new WeakMap())
+
+    const children = embedChildren.get(parent)
+
+    if (children.has(overrides)) {
+        freshEmbedChildren.delete(children.get(overrides))
+
+        return children.get(overrides)
+    }
+
+    const child = { parent, block: overrides }
+
+    children.set(overrides, child)
+    freshEmbedChildren.add(child)
+
+    return child
+}
+
+/**
+ * @param {Object|null} loop
+ *
+ * @returns {Array|null} The part of the loop metadata of a block and its enclosing loops that identifies the block in
+ *                       the block cache.
+ */
+function loopId(loop) {
+    return isNull(loop) ? null : [loop.index, loop.length, typeof loop.key === 'object' ? null : loop.key, loopId(loop.parentLoop)]
+}
+
+/**
+ * @returns {string} A random string that can not be guessed from the rendered output. It consists of digits, thus
+ *                   changing the case of the output keeps the placeholders intact.
+ */
+function createNonce() {
+    return Array.from(webCrypto.getRandomValues(new Uint32Array(4)), word => String(word).padStart(10, '0')).join('')
+}
+
+/**
+ * @param {string} nonce the nonce of the rendering
+ * @param {int} id
+ *
+ * @returns {string} The placeholder a deferred block is represented by while streaming.
+ */
+function placeholder(nonce, id) {
+    return `\uE000${ nonce }${ id }\uE001`
+}
+
+/**
+ * @param {string} name
+ *
+ * @returns {string} The placeholder of the asset stack `name`. It is the same for each rendering of the process and
+ *                   survives escaping and case changes, as the name is encoded by its code points.
+ */
+function stackPlaceholder(name) {
+    return `\uE002${ stackNonce }${ Array.from(name, char => char.codePointAt(0)).join('.') }\uE003`
+}
+
+/**
+ * @param {string} rendered
+ * @param {string|null} nonce the stack nonce of the process that has rendered the output
+ *
+ * @returns {string} The output with the asset stack placeholders of this process.
+ */
+function restampStacks(rendered, nonce) {
+    return isNull(nonce) || nonce === stackNonce ? rendered : rendered.split(`\uE002${ nonce }`).join(`\uE002${ stackNonce }`)
+}
+
+/**
+ * @param {Object} tpl
+ * @param {Object|null} registry
+ *
+ * @returns {Object|null} The parent template. Parents referenced by name are looked up in the `registry`.
+ */
+function getParent(tpl, registry=null) {
+    if (typeof tpl.parent !== 'string') return tpl.parent ?? null
+    if (isNull(registry)) error(`parent '${ tpl.parent }' can not be resolved without a registry`)
+
+    return registry.get(tpl.parent)
+}
+
+/**
+ * @param {Object} tpl
+ * @param {int|Object|string} levelOrTemplate the level (1 is the parent), the template or its name
+ * @param {Object|null} registry
+ *
+ * @returns {Object|null} The ancestor of the template or null if the chain is shorter than the level.
+ */
+function getAncestor(tpl, levelOrTemplate, registry=null) {
+    if (typeof levelOrTemplate === 'number') {
+        if (!Number.isInteger(levelOrTemplate) || levelOrTemplate < 0) error(`ancestor level has to be a non-negative integer, ${ levelOrTemplate } given`)
+
+        for (let level = 0; level < levelOrTemplate && !isNull(tpl); level++) tpl = getParent(tpl, registry)
+
+        return tpl
+    }
+
+    const isAncestor = typeof levelOrTemplate === 'string'
+        ? ancestor => getTemplateName(ancestor, registry) === levelOrTemplate
+        : ancestor => ancestor === levelOrTemplate
+
+    return iterateChain(tpl, ancestor => isAncestor(ancestor) ? ancestor : null, null, registry)
+        ?? error(`${ typeof levelOrTemplate === 'string' ? `template '${ levelOrTemplate }'` : 'the template' } is not an ancestor of ${ getTemplateName(tpl, registry) ?? 'the anonymous template' }`)
+}
+
+/**
+ * @param {*} item
+ *
+ * @returns {boolean} True if `item` is an options object `{ template, ... }` instead of a template.
+ */
+function isRenderOptions(item) {
+    return typeof item === 'object' && item !== null && 'template' in item && !('block' in item)
+}
+
+/**
+ * @param {Object} renderOptions
+ *
+ * @returns {Array} The positional arguments of `render()`.
+ */
+function fromRenderOptions(renderOptions) {
+    const { template, variables=null, lang='', fnc={}, entrypoint='main', ...options } = renderOptions
+
+    return [template, variables, lang, fnc, entrypoint, options]
+}
+
+/**
+ * @param {Object} tpl
+ * @param {Object|null} registry
+ *
+ * @returns {string|null} The registry name or the `name` property of the template.
+ */
+function getTemplateName(tpl, registry=null) {
+    return isNull(registry) ? tpl.name ?? null : registry.nameOf(tpl)
+}
+
+/**
+ * Loads the templates referenced by name and checks the inheritance chain for
+ * cycles.
+ *
+ * @param {Object|string} template
+ * @param {Object|null} registry
+ *
+ * @returns {Promise<Object>} The template.
+ */
+async function loadTemplate(template, registry) {
+    if (isNull(registry) && typeof template === 'string') error(`template '${ template }' can not be resolved without a registry`)
+    if (!isNull(registry)) template = await registry.resolve(template)
+
+    iterateChain(template, () => null, null, registry)
+
+    return template
+}
+
+/**
+ * Calls `callback` for each template of the inheritance chain until it returns
+ * a result that is not null. Throws if the chain contains a cycle.
+ *
+ * @param {Object|null} tpl
+ * @param {function(Object): *} callback
+ * @param {*} result
+ * @param {Object|null} registry
+ *
+ * @returns {*|null}
+ */
+function iterateChain(tpl, callback, result=null, registry=null) {
+    const visited = []
+
     while (isNull(result) && !isNull(tpl)) {
+        if (visited.includes(tpl)) {
+            const path = [...visited, tpl].map(item => getTemplateName(item, registry) ?? `anonymous template #${ visited.indexOf(item) }`)
+
+            error(`template inheritance chain contains a cycle: ${ path.join(' -> ') }`)
+        }
+        visited.push(tpl)
         result = callback(tpl)
-        tpl = tpl.parent
+        tpl = getParent(tpl, registry)
     }
 
     return result
@@ -89,22 +440,82 @@ function iterateChain(tpl, callback, result=null) {
 function get(dictionary, name) {
     return isFnc(dictionary) ? dictionary(name) : dictionary[name] ?? null
 }
+
+/**
+ * @param {Object} tpl
+ * @param {Object|null} registry
+ *
+ * @returns {Array<Object>} The traits of the template. Traits referenced by name are looked up in the `registry`.
+ */
+function getTraits(tpl, registry=null) {
+    return (tpl.uses ?? []).map(trait => typeof trait !== 'string' ? trait : isNull(registry)
+        ? error(`trait '${ trait }' can not be resolved without a registry`)
+        : registry.get(trait))
+}
+
+/**
+ * Looks up an entry on the level of the template `tpl`. First on the template
+ * itself, second on its traits (and their traits). Throws if more than one
+ * trait supplies the entry and the template does not `prefer` one of them.
+ *
+ * @param {Object} tpl
+ * @param {string} name the name of the entry
+ * @param {function(Object): *} lookup returns the entry of a template or null
+ * @param {Object|null} registry
+ * @param {Array<Object>} visited
+ *
+ * @returns {*|null}
+ */
+function getLevelEntry(tpl, name, lookup, registry=null, visited=[]) {
+    if (visited.includes(tpl)) error(`trait '${ getTemplateName(tpl, registry) ?? 'anonymous trait' }' uses itself`)
+
+    const entry = lookup(tpl)
+
+    if (!isNull(entry)) return entry
+
+    const candidates = getTraits(tpl, registry)
+        .map(trait => [trait, getLevelEntry(trait, name, lookup, registry, [...visited, tpl])])
+        .filter(([, entry]) => !isNull(entry))
+
+    if (candidates.length < 2) return candidates[0]?.[1] ?? null
+
+    const preferred = tpl.prefer?.[name] ?? null
+    const match = candidates.find(([trait]) => trait === preferred || (typeof preferred === 'string' && getTemplateName(trait, registry) === preferred))
+
+    if (isNull(match)) {
+        const traitNames = candidates.map(([trait]) => `'${ getTemplateName(trait, registry) ?? 'anonymous trait' }'`).join(', ')
+
+        error(`'${ name }' is supplied by the traits ${ traitNames } of ${ getTemplateName(tpl, registry) ?? 'an anonymous template' }, resolve the conflict via 'prefer'`)
+    }
+
+    return match[1]
+}
+
 /**
  * Returns the first block-template-pair from the template inheritance chain
  * which overwrites the block named `blockName`. Entry point is the `template`.
- * Returns `[null, null]` if no such template is found.
+ * On each level the language variants `blockName@lang` of the `langs` are
+ * preferred. Returns `[null, null]` if no such template is found.
  *
  * @param {string} blockName
  * @param {Object} template
+ * @param {Object|null} registry
+ * @param {Array<string>} langs
  *
  * @returns {Array}
  */
-function getBlockTemplate(blockName, template) {
+function getBlockTemplate(blockName, template, registry=null, langs=[]) {
+    const names = [...langs.filter(lang => lang !== '').map(lang => `${ blockName }@${ lang }`), blockName]
+
     return iterateChain(template, tpl => {
-        let blockFnc = get(tpl.block, blockName)
+        for (const name of names) {
+            let blockFnc = getLevelEntry(tpl, name, level => isNull(level.block) ? null : get(level.block, name), registry)
 
-        return blockFnc ? [blockFnc, tpl] : null
-    }) ?? [null, null]
+            if (blockFnc) return [blockFnc, tpl]
+        }
+
+        return null
+    }, null, registry) ?? [null, null]
 }
 
 /**
@@ -115,10 +526,11 @@ function getBlockTemplate(blockName, template) {
  * @param {Object} fnc
  * @param {Object} startingTemplate
  * @param {Object} currentTemplate
+ * @param {Object|null} registry
  *
  * @return {function({string}): *} The `vars` function.
  */
-function getVariablesFnc(dictionary, blockName, lang, local, fnc, startingTemplate, currentTemplate) {
+function getVariablesFnc(dictionary, blockName, lang, local, fnc, startingTemplate, currentTemplate, registry=null) {
     const args = [blockName, lang, local, fnc, startingTemplate, currentTemplate]
 
     /**
@@ -132,10 +544,22 @@ function getVariablesFnc(dictionary, blockName, lang, local, fnc, startingTempla
     return function(name) {
         let result = local.vars(name, ...args) ?? dictionary(name, ...args)
 
-        return iterateChain(startingTemplate, tpl => isFnc(tpl.vars) ? tpl.vars(name, ...args) : ((tpl.vars ?? {})[name] ?? null), result)
+        return iterateChain(startingTemplate, tpl => getLevelEntry(tpl, name, level => isFnc(level.vars) ? level.vars(name, ...args) : ((level.vars ?? {})[name] ?? null), registry), result, registry)
     }
 }
 
+/**
+ * @param {string} name
+ * @param {Object} object
+ * @param {Object|null} template
+ * @param {Object|null} registry
+ *
+ * @returns {boolean} True if the `object` or the `template` inheritance chain supplies the special function `name`.
+ */
+function hasSpecialFunction(name, object, template, registry=null) {
+    return isFnc(object[name]) || !isNull(iterateChain(template, tpl => getLevelEntry(tpl, name, level => isFnc(level.fnc?.[name]) ? level.fnc[name] : null, registry), null, registry))
+}
+
 /**
  * Tries to call the function `name` with `args` and returns the result.
  * The function is first looked up on the `object` then on the `template`
@@ -147,36 +571,622 @@ function getVariablesFnc(dictionary, blockName, lang, local, fnc, startingTempla
  * @param {Object} object
  * @param {Object|null} template
  * @param {*} preset
+ * @param {Object|null} registry
  *
  * @returns {*|null}
  */
-async function conditionalFncCall(name, args, object, template, preset = null) {
+async function conditionalFncCall(name, args, object, template, preset = null, registry=null) {
 
     let result = callFncOnObj(object, name, args)
 
-    result = iterateChain(template, tpl => callFncOnObj(tpl.fnc ?? {}, name, args), result)
+    result = iterateChain(template, tpl => callFnc(getLevelEntry(tpl, name, level => (level.fnc ?? {})[name] ?? null, registry), args), result, registry)
 
     return !isNull(result) ? result : (isFnc(preset) ? preset(...args) : preset)
 }
 
 /**
- * The user-land rendering function.
+ * @param {function|Object} entry
+ *
+ * @returns {boolean} True if the entry is a transform function or a `{ transform, blocks, final }` object.
+ */
+function isTransform(entry) {
+    return isFnc(entry) || (!isNull(entry) && typeof entry === 'object' && isFnc(entry.transform))
+}
+
+/**
+ * Collects the transforms of the `template` inheritance chain (the root
+ * template first), of the `object` and of the `plugins`. A transform is a
+ * function or an object `{ transform, blocks, final }`.
+ *
+ * @param {Object|null} template
+ * @param {Object} object
+ * @param {Object|null} registry
+ * @param {Array<Object>} plugins
+ *
+ * @returns {Array<Object>} The normalized transforms `{ transform, blocks, final }` in the order they are applied.
+ */
+function getTransforms(template, object, registry=null, plugins=[]) {
+    const transforms = []
+
+    iterateChain(template, tpl => {
+        transforms.unshift(...[getLevelEntry(tpl, 'transform', level => level.fnc?.transform ?? null, registry) ?? []].flat())
+
+        return null
+    }, null, registry)
+    transforms.push(...[object.transform ?? []].flat(), ...plugins.flatMap(plugin => [plugin.transform ?? []].flat()))
+
+    return transforms.map(entry => {
+        if (!isTransform(entry)) error('a transform has to be a function or an object with a transform function')
+
+        return isFnc(entry) ? { transform: entry, blocks: null, final: false } : { blocks: null, final: false, ...entry }
+    })
+}
+
+/**
+ * Passes the rendered output through the transforms.
  *
- * @param {Object} template template
+ * @param {Array<Object>} transforms
+ * @param {string} rendered
+ * @param {Array} args
+ *
+ * @returns {Promise<string>}
+ */
+async function applyTransforms(transforms, rendered, args) {
+    for (const { transform } of transforms) {
+        const transformed = await transform(rendered, ...args)
+
+        if (transformed instanceof SafeString) rendered = transformed.toString()
+        else if (typeof transformed === 'string') rendered = transformed
+        else if (!isNull(transformed)) error('a transform has to return a string')
+    }
+
+    return rendered
+}
+
+/**
+ * @param {Object|function|null} dictionary
+ * @param {Array<string>} declaredNames the names to look up if the `dictionary` is a function
+ *
+ * @returns {Array<string>} The names of the entries that are not null.
+ */
+function getNames(dictionary, declaredNames=[]) {
+    if (isNull(dictionary)) return []
+
+    return (isFnc(dictionary) ? declaredNames : Object.keys(dictionary)).filter(name => !isNull(get(dictionary, name)))
+}
+
+/**
+ * @param {Object} tpl
+ * @param {string} property `block`, `vars` or `fnc`
+ * @param {Array<string>} declaredNames
+ * @param {Object|null} registry
+ * @param {Array<Object>} visited
+ *
+ * @returns {Array<string>} The names of the entries of the template and its traits.
+ */
+function getLevelNames(tpl, property, declaredNames=[], registry=null, visited=[]) {
+    if (visited.includes(tpl)) error(`trait '${ getTemplateName(tpl, registry) ?? 'anonymous trait' }' uses itself`)
+
+    return [...new Set([
+        ...getNames(tpl[property], declaredNames),
+        ...getTraits(tpl, registry).flatMap(trait => getLevelNames(trait, property, declaredNames, registry, [...visited, tpl])),
+    ])]
+}
+
+/**
+ * Reports how the blocks, vars and special functions of the inheritance chain
+ * of the `template` are resolved. Blocks are resolved by the same lookup as in
+ * the rendering.
+ *
+ * @param {Object|string} template template or template name
+ * @param {Object} options `options.registry` resolves templates referenced by name, `options.blockNames` and
+ *                         `options.varNames` are the names looked up if a `block` or `vars` property is a function.
+ *
+ * @returns {Promise<Object>} `{ chain, blocks, vars, fnc }`. The `chain` lists the templates starting with the
+ *                            `template`, the names of their traits and the names of their entries (including the
+ *                            entries of the traits). `blocks`, `vars` and `fnc` map each name to
+ *                            the template that wins and the ancestors it overrides.
+ */
+async function inspect(template, options={}) {
+    const registry = options.registry ?? null
+
+    template = await loadTemplate(template, registry)
+
+    const chain = []
+
+    iterateChain(template, tpl => {
+        chain.push({
+            template: tpl,
+            name: getTemplateName(tpl, registry),
+            uses: getTraits(tpl, registry).map(trait => getTemplateName(trait, registry)),
+            blocks: getLevelNames(tpl, 'block', options.blockNames, registry),
+            vars: getLevelNames(tpl, 'vars', options.varNames, registry),
+            fnc: getLevelNames(tpl, 'fnc', [], registry),
+        })
+
+        return null
+    }, null, registry)
+
+    const reference = level => ({ template: level.template, name: level.name })
+
+    const resolve = (property, getWinner) => Object.fromEntries(
+        [...new Set(chain.flatMap(level => level[property]))].map(name => {
+            const winner = getWinner(name)
+            const levels = chain.slice(winner).filter(level => level[property].includes(name))
+
+            return [name, { ...reference(chain[winner]), overrides: levels.slice(1).map(reference) }]
+        })
+    )
+
+    const firstLevel = property => name => chain.findIndex(level => level[property].includes(name))
+
+    return {
+        chain,
+        blocks: resolve('blocks', name => chain.findIndex(level => level.template === getBlockTemplate(name, template, registry)[1])),
+        vars: Object.fromEntries(Object.entries(resolve('vars', firstLevel('vars'))).map(
+            ([name, entry]) => [name, { ...entry, value: getLevelEntry(entry.template, name, level => isNull(level.vars) ? null : get(level.vars, name), registry) }]
+        )),
+        fnc: resolve('fnc', firstLevel('fnc')),
+    }
+}
+
+/**
+ * Checks the inheritance chain of the `template` for structural errors. If
+ * there are none, the template is dry rendered to find calls of blocks that do
+ * not exist and blocks that throw.
+ *
+ * @param {Object|string} template template or template name
+ * @param {Object} options `options.registry` resolves templates referenced by name, `options.dryRender` (default
+ *                         true) enables the dry rendering, `options.variables`, `options.lang`, `options.fnc` and
+ *                         `options.entrypoint` are passed to the dry rendering.
+ *
+ * @returns {Promise<Array<Object>>} The errors `{ path, message }`. Empty if the template is valid.
+ */
+async function validate(template, options={}) {
+    const registry = options.registry ?? null
+    const errors = []
+    const chain = []
+    const label = tpl => getTemplateName(tpl, registry) ?? (chain.includes(tpl) ? `anonymous template #${ chain.indexOf(tpl) }` : 'anonymous template')
+    const report = (path, message) => errors.push({ path, message })
+    const isDictionary = item => isNull(item) || isFnc(item) || typeof item === 'object'
+
+    /**
+     * Checks the properties of a template or trait and its traits.
+     *
+     * @param {Object} tpl
+     * @param {string} name
+     * @param {Array<Object>} users the templates that use the trait
+     */
+    const checkTemplate = async (tpl, name, users=[]) => {
+        if (!isNull(tpl.name) && typeof tpl.name !== 'string') report(`${ name }.name`, 'has to be a string')
+        if (isNull(tpl.block) && !users.length) report(`${ name }.block`, 'is missing')
+        else if (!isDictionary(tpl.block)) report(`${ name }.block`, 'has to be an object or a function')
+        else if (!isNull(tpl.block) && !isFnc(tpl.block)) {
+            Object.entries(tpl.block).forEach(([blockName, blockFnc]) => {
+                if (!isNull(blockFnc) && !isFnc(blockFnc)) report(`${ name }.block.${ blockName }`, 'has to be a function')
+            })
+        }
+        if (!isDictionary(tpl.vars)) report(`${ name }.vars`, 'has to be an object or a function')
+        if (!isNull(tpl.fnc) && typeof tpl.fnc !== 'object') report(`${ name }.fnc`, 'has to be an object')
+        else specialFunctions.forEach(fncName => {
+            if (!isNull(tpl.fnc?.[fncName]) && !isFnc(tpl.fnc[fncName])) report(`${ name }.fnc.${ fncName }`, 'has to be a function')
+        })
+        if (!isNull(tpl.fnc?.transform) && ![tpl.fnc.transform].flat().every(isTransform)) {
+            report(`${ name }.fnc.transform`, 'has to be a function, an object with a transform function or an array of these')
+        }
+        if (isNull(tpl.uses)) return
+        if (!Array.isArray(tpl.uses)) {
+            report(`${ name }.uses`, 'has to be an array')
+            return
+        }
+
+        const errorCount = errors.length
+
+        for (const [index, reference] of tpl.uses.entries()) {
+            const path = `${ name }.uses.${ index }`
+            let trait = reference
+
+            if (typeof trait === 'string') {
+                if (isNull(registry)) {
+                    report(path, `trait '${ trait }' can not be resolved without a registry`)
+                    continue
+                }
+                try {
+                    trait = await registry.load(trait, tpl)
+                } catch (e) {
+                    report(path, e.message)
+                    continue
+                }
+            }
+            if (typeof trait !== 'object' || trait === null) report(path, `has to be a template object, ${ trait === null ? 'null' : typeof trait } given`)
+            else if ([...users, tpl].includes(trait)) report(path, 'trait uses itself')
+            else await checkTemplate(trait, getTemplateName(trait, registry) ?? path, [...users, tpl])
+        }
+
+        if (errors.length > errorCount) return
+
+        ['block', 'vars', 'fnc'].forEach(property => getLevelNames(tpl, property, [], registry).forEach(entryName => {
+            try {
+                getLevelEntry(tpl, entryName, level => isNull(level[property]) ? null : get(level[property], entryName), registry)
+            } catch (e) {
+                report(`${ name }.${ property }.${ entryName }`, e.message)
+            }
+        }))
+    }
+
+    let tpl = template
+    let path = typeof template === 'string' ? template : 'template'
+
+    while (!isNull(tpl)) {
+        if (typeof tpl === 'string') {
+            if (isNull(registry)) {
+                report(path, `template '${ tpl }' can not be resolved without a registry`)
+                break
+            }
+            try {
+                tpl = await registry.load(tpl, chain[chain.length - 1] ?? null)
+            } catch (e) {
+                report(path, e.message)
+                break
+            }
+        }
+        if (typeof tpl !== 'object') {
+            report(path, `has to be a template object, ${ typeof tpl } given`)
+            break
+        }
+        if (chain.includes(tpl)) {
+            report(path, `template inheritance chain contains a cycle: ${ [...chain, tpl].map(label).join(' -> ') }`)
+            break
+        }
+
+        chain.push(tpl)
+
+        const name = label(tpl)
+
+        await checkTemplate(tpl, name)
+
+        path = `${ name }.parent`
+        tpl = tpl.parent
+    }
+
+    if (errors.length || options.dryRender === false) return errors
+
+    const fnc = {
+        ...options.fnc,
+        onError: (e, lang, blockName, tpl) => {
+            report(`${ label(tpl) }.block.${ blockName }`, e.message)
+            return ''
+        },
+    }
+    const missing = new Set()
+    const onMissingBlock = (blockName, callerName, callerTemplate) => {
+        const path = isNull(callerName) ? label(chain[0]) : `${ label(callerTemplate) }.block.${ callerName }`
+
+        if (!missing.has(`${ path } ${ blockName }`)) report(path, `calls the missing block '${ blockName }'`)
+        missing.add(`${ path } ${ blockName }`)
+
+        return ''
+    }
+
+    try {
+        await render(chain[0], options.variables ?? null, options.lang ?? '', fnc, options.entrypoint ?? 'main', { registry, onMissingBlock })
+    } catch (e) {
+        report(label(chain[0]), e.message)
+    }
+
+    return errors
+}
+
+/**
+ * The user-land rendering function. Can be called with positional arguments or
+ * with one options object `{ template, variables, lang, fnc, entrypoint, ...options }`.
+ *
+ * @param {Object|string} template template or template name
  * @param {function|Object|null} variables a function returning variable values for passed variable names or a dictionary
- * @param {string} lang the language code or an empty string if no translations are used
+ * @param {string|Array<string>} lang the language code, a fallback chain of language codes (e.g. `['de-AT', 'de', 'en']`)
+ *                                   or an empty string if no translations are used
  * @param {Object} fnc an object mainly for user-land functionality (`fnc.trans`, `fnc.preCall`, `fnc.postCall`,
  *                     `fnc.preRender`, `fnc.postRender`, `fnc.setCache` and `fnc.getCache` have a special meaning in
- *                     the rendering context), `fnc.block`, `fnc.iterate` and `fnc.render` will be overwritten to
- *                     supply rendering functionality.
+ *                     the rendering context, `fnc.filters` holds filters, `fnc.transform` holds output transforms). The blocks get an object that inherits
+ *                     from `fnc` and supplies the rendering functions `block`, `iterate`, `render`, `embed` and
+ *                     the `html` tagged template function. The passed object is not modified.
  * @param {string} entrypoint The block where rendering starts.
+ * @param {Object} options `options.escape` enables the escaping mode, `options.strict` rejects unsafe values and urls,
+ *                         `options.registry` resolves templates referenced by name, `options.maxBlockCount` limits the
+ *                         number of rendered blocks, `options.maxDepth` limits the nesting depth of blocks,
+ *                         `options.timeout` (ms) and `options.signal` (an `AbortSignal`) abort the rendering,
+ *                         `options.tracer` records the block call tree, `options.cache` (see `createBlockCache()`)
+ *                         caches the rendered blocks, `options.onMissingBlock` is called with the block name, the
+ *                         name and the template of the calling block if a block does not exist. Its result is used
+ *                         instead of throwing, `options.plugins` holds the plugins of the rendering (see `render.use()`).
  *
  * @return {Promise<string>} The rendered main block of the `template`.
  */
-async function render(template, variables=null, lang='', fnc={}, entrypoint='main') {
+async function render(template, variables=null, lang='', fnc={}, entrypoint='main', options={}) {
+    if (isRenderOptions(template)) return render(...fromRenderOptions(template))
+
+    template = await loadTemplate(template, options.registry ?? null)
+
+    return renderEntrypoint(template, variables, lang, fnc, entrypoint, options, false)
+}
+
+/**
+ * Registers a plugin for all renderings. A plugin is an object that holds
+ * special functions (`trans`, `onError`, `getCache`, `setCache`, `preRender`,
+ * `postRender`, `preCall`, `postCall` and `transform`). The plugins are called
+ * in the order of registration before the plugins of the `plugins` option.
+ *
+ * @param {Object} plugin
+ *
+ * @return {function(): void} Unregisters the plugin.
+ */
+render.use = (plugin) => {
+    if (isNull(plugin) || typeof plugin !== 'object') error('a plugin has to be an object')
+
+    globalPlugins.push(plugin)
+
+    return () => {
+        const index = globalPlugins.indexOf(plugin)
+
+        if (index !== -1) globalPlugins.splice(index, 1)
+    }
+}
+
+/**
+ * The streaming variant of `render()`. Yields the output of the `entrypoint`
+ * block as soon as its block function has finished. The output of nested
+ * `block()`, `iterate()` and `parent()` calls is filled in document order as
+ * they resolve. These calls resolve with a placeholder at once, thus blocks can
+ * neither catch nested errors nor branch on the nested output.
+ *
+ * @param {Object|string} template see `render()`
+ * @param {function|Object|null} variables see `render()`
+ * @param {string} lang see `render()`
+ * @param {Object} fnc see `render()`
+ * @param {string} entrypoint see `render()`
+ * @param {Object} options see `render()`
+ *
+ * @return {AsyncGenerator<string>} The chunks of the rendered main block of the `template`.
+ */
+async function* renderStream(template, variables=null, lang='', fnc={}, entrypoint='main', options={}) {
+    if (isRenderOptions(template)) {
+        yield* renderStream(...fromRenderOptions(template))
+        return
+    }
+
+    template = await loadTemplate(template, options.registry ?? null)
+
+    const [root, nodes, fillStacks, finalize] = renderEntrypoint(template, variables, lang, fnc, entrypoint, options, true)
+    let held = null
+
+    if (!isNull(finalize)) {
+        yield await finalize(fillStacks(await root.result))
+        return
+    }
+
+    for await (const chunk of streamNode(root, nodes)) {
+        if (held !== null) {
+            held += chunk
+            continue
+        }
+
+        const index = chunk.search(stackPattern)
+
+        if (index === -1) {
+            yield chunk
+            continue
+        }
+        if (index > 0) yield chunk.slice(0, index)
+        held = chunk.slice(index)
+    }
+
+    await root.result
+
+    if (held !== null) yield fillStacks(held)
+}
+
+/**
+ * Yields the published parts of a deferred block. Placeholders are replaced by
+ * the parts of the referenced block. Blocks whose output can be replaced by
+ * `onError()` do not publish parts, their result is yielded as a whole. If a
+ * nested block fails, the error of the block itself is thrown.
+ *
+ * @param {Object} node
+ * @param {Map} nodes
+ *
+ * @return {AsyncGenerator<string>}
+ */
+async function* streamNode(node, nodes) {
+    const parts = await Promise.race([node.parts, node.result.then(result => [result])])
+
+    for (let i = 0; i < parts.length; i++) {
+        if (i % 2 === 0) {
+            if (parts[i] !== '') yield parts[i]
+            continue
+        }
+        try {
+            yield* streamNode(nodes.get(parts[i]), nodes)
+        } catch (e) {
+            await node.result
+            throw e
+        }
+    }
+}
+
+/**
+ * Sets up the rendering context and starts rendering the `entrypoint`.
+ *
+ * @param {Object} template
+ * @param {function|Object|null} variables
+ * @param {string|Array<string>} languages the language or the language fallback chain
+ * @param {Object} fnc
+ * @param {string} entrypoint
+ * @param {Object} options
+ * @param {boolean} streaming If true nested rendering functions return placeholders.
+ *
+ * @return {Promise<string>|Array} The rendered entrypoint or the root node, the node map, the stack filling and the
+ *                                 final transform function (null if there are no final transforms) if streaming.
+ */
+function renderEntrypoint(template, variables, languages, fnc, entrypoint, options, streaming) {
+    const langs = Array.isArray(languages) ? [...languages] : [languages]
+    const lang = langs[0] ?? ''
     const dictionary = getDictionary(variables)
     const origin = template
-    let blockCount = 0
+    const nodes = new Map()
+    const escape = createEscape(options.strict ?? false)
+    const registry = options.registry ?? null
+    const tracer = options.tracer ?? null
+    const cache = options.cache ?? null
+    const blockLimit = options.maxBlockCount ?? defaultMaxBlockCount
+    const depthLimit = options.maxDepth ?? Infinity
+    const plugins = [...globalPlugins, ...(options.plugins ?? [])]
+    const finalTransforms = isNull(options[sharedStacks]) ? getTransforms(origin, fnc, registry, plugins).filter(({ final }) => final) : []
+    const controller = new AbortController()
+    const signal = controller.signal
+    const aborted = new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(signal.reason), { once: true }))
+    const abort = () => controller.abort(options.signal.reason)
+    const timer = isNull(options.timeout)
+        ? null
+        : setTimeout(() => controller.abort(Error(`rendering exceeds timeout of ${ options.timeout }ms`)), options.timeout)
+    const cleanup = () => {
+        clearTimeout(timer)
+        options.signal?.removeEventListener('abort', abort)
+    }
+    const stacks = options[sharedStacks] ?? new Map()
+    const nonce = createNonce()
+    const placeholderPattern = new RegExp(`\uE000${ nonce }(\\d+)\uE001`)
+    const heldPattern = new RegExp(`\uE000${ nonce }\\d+\uE001|\uE002${ stackNonce }[^\uE003]*\uE003`, 'g')
+    const context = options[sharedContext] ?? new Map()
+    const blockCount = options[sharedBlockCount] ?? { count: 0 }
+
+    aborted.catch(() => null)
+    if (options.signal?.aborted) abort()
+    else options.signal?.addEventListener('abort', abort, { once: true })
+
+    /**
+     * Starts rendering in the background and returns a placeholder for the
+     * result. The node publishes the raw block output as soon as the block
+     * function has returned.
+     *
+     * @param {function(Object): Promise<string>} renderNode
+     *
+     * @return {Object} The node.
+     */
+    const defer = (renderNode) => {
+        const node = { id: nodes.size }
+
+        node.parts = new Promise(resolve => node.publish = resolve)
+        nodes.set(String(node.id), node)
+        node.result = Promise.race([aborted, renderNode(node)])
+        node.result.catch(() => null)
+
+        return node
+    }
+
+    /**
+     * Replaces the placeholders in `rendered` by the results of the deferred
+     * blocks.
+     *
+     * @param {string} rendered
+     *
+     * @return {Promise<string>}
+     */
+    const resolvePlaceholders = async (rendered) =>
+        (await Promise.all(rendered.split(placeholderPattern).map(
+            (part, index) => index % 2 === 0 ? part : nodes.get(part).result
+        ))).join('')
+
+    /**
+     * Replaces the asset stack placeholders by the collected content.
+     *
+     * @param {string} rendered
+     *
+     * @return {string}
+     */
+    const fillStacks = (rendered) => rendered.replace(stackPattern, (match, name) => [...(stacks.get(name === '' ? '' : String.fromCodePoint(...name.split('.').map(Number)))?.values() ?? [])].join(''))
+
+    /**
+     * Adds the content to the asset stack `name` unless the stack already
+     * holds content with the same key. Records the push for the frame and the
+     * calling frames to be replayed on cache hits.
+     *
+     * @param {string} name
+     * @param {string} content
+     * @param {string|null} key
+     * @param {Object} frame
+     */
+    const addToStack = (name, content, key, frame) => {
+        if (!stacks.has(name)) stacks.set(name, new Map())
+        if (!stacks.get(name).has(key ?? content)) stacks.get(name).set(key ?? content, content)
+
+        for (let pushingFrame = frame; !isNull(pushingFrame); pushingFrame = pushingFrame.caller ?? pushingFrame.outer) {
+            pushingFrame.pushes.push([name, content, key])
+        }
+    }
+
+    /**
+     * Calls the special function `name` of the plugins in order and then the
+     * default plugin (`conditionalFncCall()`). The `trans()`, `onError()` and
+     * `getCache()` functions of the plugins are middleware: they get a
+     * `next()` function as last argument that calls the next plugin and
+     * returns its result.
+     *
+     * @param {string} name
+     * @param {Array} args
+     * @param {Object} object
+     * @param {Object|null} template
+     * @param {*} preset
+     *
+     * @return {Promise<*|null>}
+     */
+    const callHook = async (name, args, object, template, preset=null) => {
+        const hooks = plugins.filter(plugin => isFnc(plugin[name]))
+        const callDefault = () => conditionalFncCall(name, args, object, template, preset, registry)
+
+        if (!middlewareFunctions.includes(name)) {
+            for (const plugin of hooks) await plugin[name](...args)
+
+            return await callDefault()
+        }
+
+        const dispatch = async (index) => index < hooks.length ? await hooks[index][name](...args, () => dispatch(index + 1)) : await callDefault()
+
+        return await dispatch(0)
+    }
+
+    /**
+     * Marks rendered output as safe if the escaping mode is enabled.
+     *
+     * @param {string} rendered
+     *
+     * @return {string|SafeString}
+     */
+    const markSafe = (rendered) => options.escape ? new SafeString(rendered) : rendered
+
+    /**
+     * Returns a placeholder for already rendered output. The output is
+     * substituted after the transforms of the calling block have been applied.
+     *
+     * @param {string} rendered
+     *
+     * @return {string}
+     */
+    const hold = (rendered) => placeholder(nonce, defer(async () => rendered).id)
+
+    /**
+     * Renders the block named `blockName` or defers it if streaming. If the
+     * calling block has transforms, the rendered block is held behind a
+     * placeholder.
+     *
+     * @return {Promise<string|SafeString>}
+     */
+    const renderOrDefer = async (blockName, startingTemplate, local, useDictionary, caller, frameOrigin = caller?.origin ?? origin, schedule = task => task()) => {
+        if (streaming) return markSafe(placeholder(nonce, defer(node => schedule(() => renderBlock(blockName, startingTemplate, local, useDictionary, caller, node, frameOrigin))).id))
+
+        const rendered = await schedule(() => renderBlock(blockName, startingTemplate, local, useDictionary, caller, null, frameOrigin))
+
+        return markSafe(caller?.holdsNested ? hold(rendered) : rendered)
+    }
 
     /**
      * Renders the first block named `blockName` of the template inheritance chain.
@@ -185,39 +1195,90 @@ async function render(template, variables=null, lang='', fnc={}, entrypoint='mai
      * @param {string} blockName
      * @param {function|Object|null} localVariables a function returning variable values for passed variable names or a dictionary
      * @param {boolean} useDictionary
+     * @param {Object|null} caller The frame of the calling block.
      *
-     * @return {Promise<string>}
+     * @return {Promise<string|SafeString>}
      */
-    const block = async (blockName, localVariables, useDictionary=true) => {
-        return await renderBlock(blockName, origin, localVariables, useDictionary)
+    const block = async (blockName, localVariables, useDictionary=true, caller=null) => {
+        return await renderOrDefer(blockName, caller?.origin ?? origin, localVariables, useDictionary, caller)
     }
 
     /**
-     * Takes the data as `local` object and renders the first block named
-     * `blockName` of the template inheritance chain for each item.
+     * Takes the data items as `local` object and renders the first block named
+     * `blockName` of the template inheritance chain for each item. The loop
+     * metadata is passed as `local.loop`. If the data holds no items the
+     * `emptyBlock` is rendered instead (if passed). The items are rendered
+     * concurrently unless limited by the options. The output keeps the order of
+     * the items.
      *
      * @param {string} blockName
-     * @param {array} data
+     * @param {Array|Object|Map|Iterable|AsyncIterable|null} data
      * @param {string} separator
+     * @param {Object} iterateOptions `iterateOptions.emptyBlock`, `iterateOptions.concurrency` the maximal number of
+     *                                items rendered at once, `iterateOptions.sequential` renders one item after
+     *                                another, `iterateOptions.chunk` renders the items in chunks of the passed size
      * @param {boolean} useDictionary
+     * @param {Object|null} caller The frame of the calling block.
      *
-     * @return {Promise<string>}
+     * @return {Promise<string|SafeString>}
      */
-    const iterate = async (blockName, data, separator='', useDictionary=true) =>
-        (await Promise.all(data.map(async (localVars, index) => await renderBlock(blockName, origin, getLocalObj(localVars, index), useDictionary)))).join(separator)
+    const iterate = async (blockName, data, separator='', iterateOptions={}, useDictionary=true, caller=null) => {
+        const concurrency = iterateOptions?.sequential ? 1 : getLimit(iterateOptions?.concurrency, 'concurrency')
+        const schedule = createScheduler(concurrency, getLimit(iterateOptions?.chunk, 'chunk'))
+        const entries = await getLoopEntries(data)
 
-    /**
-     * Same as block() with initialized local object and global variable scope always.
-     */
-    fnc.block = (blockName, localVariables) => block(blockName, getLocalObj(localVariables))
+        if (entries.length === 0) {
+            return isNull(iterateOptions?.emptyBlock) ? markSafe('') : await block(iterateOptions.emptyBlock, getLocalObj(null), useDictionary, caller)
+        }
+
+        let parentLoop = null
+
+        for (let callingFrame = caller; isNull(parentLoop) && !isNull(callingFrame); callingFrame = callingFrame.caller) parentLoop = callingFrame.loop
+
+        return markSafe((await Promise.all(entries.map(async ([key, localVars], index) => {
+            const loop = { index, key, first: index === 0, last: index === entries.length - 1, length: entries.length, depth: (parentLoop?.depth ?? 0) + 1, parentLoop }
+
+            return await renderOrDefer(blockName, caller?.origin ?? origin, getLocalObj(localVars, loop), useDictionary, caller, caller?.origin ?? origin, task => schedule(index, task))
+        }))).join(separator))
+    }
 
     /**
-     * Same as iterate() with global variable scope always.
+     * Returns the `fnc` object that is passed to a block. It inherits the
+     * user-land functions and holds the rendering functions of the block.
+     *
+     * @param {Object|null} caller The frame of the block.
+     *
+     * @return {Object}
      */
-    fnc.iterate = (blockName, data, separator='') => iterate(blockName, data, separator, true)
+    const getFncObj = (caller) => Object.assign(Object.create(fnc), {
+        /**
+         * Same as block() with initialized local object and global variable scope always.
+         */
+        block: (blockName, localVariables) => block(blockName, getLocalObj(localVariables), true, caller),
+
+        /**
+         * Same as iterate() with global variable scope always.
+         */
+        iterate: (blockName, data, separator='', iterateOptions={}) => iterate(blockName, data, separator, iterateOptions, true, caller),
+
+        render: async (tpl, variables = dictionary, lng = languages, fnc={}, entrypoint='main') => {
+            const rendered = await render(tpl, variables, lng, {...fnc}, entrypoint, { ...options, signal, timeout: null, [outerFrame]: caller, [sharedStacks]: stacks, [sharedContext]: context, [sharedBlockCount]: blockCount })
 
-    fnc.render = (tpl, variables = dictionary, lng = lang, fnc={}, entrypoint='main') =>
-        render(tpl, variables, lng, {...fnc}, entrypoint)
+            return markSafe(caller?.holdsNested ? hold(rendered) : rendered)
+        },
+
+        /**
+         * Renders the `main` block of an anonymous child of the `tpl` chain
+         * that holds the `overrides` blocks. Shares the current rendering.
+         */
+        embed: async (tpl, overrides=noOverrides, localVariables=null) => {
+            const child = getEmbedChild(await loadTemplate(tpl, registry), overrides)
+
+            return await renderOrDefer('main', child, getLocalObj(localVariables), true, caller, child)
+        },
+
+        html: options.strict ? strictHtml : html,
+    })
 
     /**
      * Renders the block named `blockName`. Entry point is the starting template.
@@ -226,90 +1287,282 @@ async function render(template, variables=null, lang='', fnc={}, entrypoint='mai
      * @param {Object|null} startingTemplate
      * @param {Object} local
      * @param {boolean} useDictionary
+     * @param {Object|null} caller The frame of the calling block.
+     * @param {Object|null} node The node to publish the raw block output to if streaming.
+     * @param {Object} frameOrigin The template `fnc.block` and `fnc.iterate` start from.
      *
      * @return {Promise<string>}
      */
-    const renderBlock = async (blockName, startingTemplate, local, useDictionary=true) => {
+    const renderBlock = async (blockName, startingTemplate, local, useDictionary=true, caller=null, node=null, frameOrigin=origin) => {
+        const frame = { depth: (caller?.depth ?? options[outerFrame]?.depth ?? 0) + 1, trace: null, block: blockName, template: startingTemplate, origin: frameOrigin, caller,
+            outer: isNull(caller) ? options[outerFrame] ?? null : null, loop: local?.loop ?? null, holdsNested: false, reads: new Set(), pushes: [] }
 
         try {
-            blockCount += 1
-            if (blockCount > maxBlockCount) error('block count exceeds limit of '+maxBlockCount)
+            const fncObj = getFncObj(frame)
+
+            blockCount.count += 1
+            if (blockCount.count > blockLimit) error('block count exceeds limit of '+blockLimit)
+            if (frame.depth > depthLimit) error('block depth exceeds limit of '+depthLimit)
+            if (signal.aborted) error('rendering has been aborted')
     
             let blockFnc, currentTemplate, rendered
     
             if (isNull(startingTemplate)) return '';
     
-            [blockFnc, currentTemplate] = getBlockTemplate(blockName, startingTemplate)
+            [blockFnc, currentTemplate] = getBlockTemplate(blockName, startingTemplate, registry, langs)
+
+            frame.template = currentTemplate ?? startingTemplate
+
+            if (!isNull(tracer)) {
+                frame.trace = tracer.enter(blockName, frame.template, getTemplateName(frame.template, registry), local.index ?? null, caller?.trace ?? options[outerFrame]?.trace ?? null)
+            }
     
+            if (isNull(blockFnc) && isFnc(options.onMissingBlock)) {
+                blockFnc = () => options.onMissingBlock(blockName, caller?.block ?? null, caller?.template ?? null)
+            }
+
             if (!isFnc(blockFnc)) error(`block '${ blockName }' is not a function`);
     
-            const varFnc = getVariablesFnc(useDictionary ? dictionary : ()=>null, blockName, lang, local, fnc, startingTemplate, currentTemplate)
+            const lookup = getVariablesFnc(useDictionary ? dictionary : ()=>null, blockName, lang, local, fncObj, startingTemplate, currentTemplate, registry)
+
+            /**
+             * Same as the looked up variables function. Records the read
+             * names for the block and the calling blocks.
+             */
+            const varFnc = (name) => {
+                for (let readingFrame = frame; !isNull(readingFrame); readingFrame = readingFrame.caller) readingFrame.reads.add(name)
+
+                return lookup(name)
+            }
     
-            const args = [lang, blockName, currentTemplate, varFnc, local, fnc]
+            const args = [lang, blockName, currentTemplate, varFnc, local, fncObj]
     
             /**
-             * Renders the parent of the current block.
+             * Renders the parent of the current block. If omitted the local
+             * variables of the current block are used. The parent gets a
+             * local object of its own that inherits the current one.
+             *
+             * @param {function|Object|null} localVariables
+             *
+             * @return {Promise<string|SafeString>}
+             */
+            local.parent = async (localVariables) => {
+                return await renderOrDefer(blockName, getParent(currentTemplate, registry), localVariables ? getLocalObj(localVariables, local.loop ?? null) : Object.create(local), true, frame)
+            }
+
+            /**
+             * Renders the block `ancestorBlockName` starting the lookup at an
+             * ancestor of the current template. The ancestor is identified by
+             * its level (1 is the parent, 2 the grandparent,...), the template
+             * or its name.
+             *
+             * @param {int|Object|string} levelOrTemplate
+             * @param {string} ancestorBlockName
              *
-             * @return {Promise<string>}
+             * @return {Promise<string|SafeString>}
              */
-            local.parent = async () => {
-                return await renderBlock(blockName, currentTemplate.parent, local)
+            local.ancestor = async (levelOrTemplate, ancestorBlockName = blockName) => {
+                return await renderOrDefer(ancestorBlockName, getAncestor(currentTemplate, levelOrTemplate, registry), Object.create(local), true, frame)
             }
 
             /**
              * Same as block(), with the initialized passed variable scope only. If omitted the last scope is used.
              */
-            local.block = async (blockName, localVariables) => block(blockName, localVariables ? getLocalObj(localVariables) : local, false)
+            local.block = async (blockName, localVariables) => block(blockName, localVariables ? getLocalObj(localVariables) : local, false, frame)
 
             /**
              * Same as iterate() with passed variable scope only.
              */
-            local.iterate = async (blockName, data, separator='') => iterate(blockName, data, separator, false)
+            local.iterate = async (blockName, data, separator='', iterateOptions={}) => iterate(blockName, data, separator, iterateOptions, false, frame)
 
             local.lang = lang
+
+            local.langs = langs
+
+            local.signal = signal
+
+            local.ctx = context
+
+            local.escape = escape
+
+            /**
+             * Adds the content to the asset stack `name`. Content with the
+             * same key (the content itself if omitted) is added only once.
+             *
+             * @param {string} name
+             * @param {string|SafeString} content
+             * @param {string|null} key
+             */
+            local.push = (name, content, key=null) => {
+                if (content instanceof SafeString) content = content.toString()
+                else if (typeof content !== 'string') error(`content pushed to stack '${ name }' has to be a string`)
+                else if (options.escape) content = escapeHtml(content)
+
+                addToStack(name, content, key, frame)
+            }
+
+            /**
+             * @param {string} name
+             *
+             * @return {string|SafeString} The placeholder that is replaced by the content of the asset stack `name`
+             *                             after all blocks have been rendered.
+             */
+            local.stack = (name) => markSafe(stackPlaceholder(name))
+
+            /**
+             * Applies the filter `name`. The filter is looked up in
+             * `fnc.filters`, then in the `fnc.filters` of the template
+             * inheritance chain and last in the built-in filters. It is called
+             * with the local object as `this`.
+             *
+             * @param {string} name
+             * @param {*} value
+             * @param {...*} filterArgs
+             *
+             * @return {*}
+             */
+            local.filter = (name, value, ...filterArgs) => {
+                const ownFilter = filters => Object.hasOwn(filters ?? {}, name) ? filters[name] : null
+                const filter = ownFilter(fncObj.filters)
+                    ?? iterateChain(startingTemplate, tpl => getLevelEntry(tpl, name, level => ownFilter(level.fnc?.filters), registry), null, registry)
+                    ?? ownFilter(builtinFilters)
+
+                if (!isFnc(filter)) error(`unknown filter '${ name }'`)
+
+                return filter.call(local, value, ...filterArgs)
+            }
+
+            /**
+             * Applies the filters in order. A filter is its name or an array
+             * of its name and arguments.
+             *
+             * @param {*} value
+             * @param {...string|Array} filters
+             *
+             * @return {*}
+             */
+            local.pipe = (value, ...filters) => filters.reduce(
+                (result, filter) => Array.isArray(filter) ? local.filter(filter[0], result, ...filter.slice(1)) : local.filter(filter, result),
+                value
+            )
+
+            const blockCache = freshEmbedChildren.has(frame.origin) || freshEmbedChildren.has(startingTemplate) ? null : cache
+            const cacheId = isNull(blockCache) ? null : cache.id([frame.origin, startingTemplate], registry, blockName, langs, loopId(local.loop), options.escape ? 'escape' : 'raw')
     
             /**
              * Tries to fetch a translation for `item` in the current template
              * context. Returns the first result from `fnc.trans` and
-             * `template.trans` that is not `null`.
+             * `template.trans` that is not `null`. The languages of the
+             * fallback chain are tried in order. If `params` are passed, the
+             * result is formatted as ICU message.
              *
              * @param {string} item
              * @param {string|null} category
+             * @param {Object|null} params
              *
              * @return {string}
              */
-            local.trans = async (item, category=null) => {
-                return await conditionalFncCall('trans', [item, category, ...args], fnc, startingTemplate, item)
+            local.trans = async (item, category=null, params=null) => {
+                for (const language of langs) {
+                    const message = await callHook('trans', [item, category, language, ...args.slice(1)], fncObj, startingTemplate)
+
+                    if (!isNull(message)) return isNull(params) ? message : formatMessage(message, params, language)
+                }
+
+                return isNull(params) ? item : formatMessage(item, params, lang)
             }
     
             try {
-                await conditionalFncCall('preCall', args, fnc, startingTemplate)
+                await callHook('preCall', args, fncObj, startingTemplate)
     
-                rendered = await conditionalFncCall('getCache', args, fnc, startingTemplate)
+                rendered = await callHook('getCache', args, fncObj, startingTemplate, isNull(blockCache) ? null : async () => {
+                    const entry = await cache.get(cacheId, varFnc)
+
+                    entry?.pushes.forEach(([name, content, key]) => addToStack(name, content, key, frame))
+
+                    return isNull(entry) ? null : restampStacks(entry.rendered, entry.nonce ?? null)
+                })
+
+                if (!isNull(frame.trace)) tracer.cache(frame.trace, !isNull(rendered))
     
                 if (isNull(rendered)) {
-                    await conditionalFncCall('preRender', args, fnc, startingTemplate)
+                    const transforms = getTransforms(startingTemplate, fncObj, registry, plugins)
+                        .filter(({ blocks, final }) => !final && (isNull(blocks) || blocks.includes(blockName)))
+                    const canReplace = plugins.some(plugin => isFnc(plugin.onError)) || hasSpecialFunction('onError', fncObj, startingTemplate, registry)
+
+                    frame.holdsNested = transforms.length > 0
+
+                    await callHook('preRender', args, fncObj, startingTemplate)
     
-                    rendered = await blockFnc(varFnc, local, fnc)
+                    rendered = await blockFnc(varFnc, local, fncObj)
     
-                    if (typeof rendered !== 'string') error(`block '${blockName}' has to return a string`)
+                    if (rendered instanceof SafeString) rendered = rendered.toString()
+                    else if (typeof rendered !== 'string') error(`block '${blockName}' has to return a string`)
+                    else if (options.escape) rendered = escapeHtml(rendered)
+
+                    const held = transforms.length > 0 ? rendered.match(heldPattern) ?? [] : []
+
+                    rendered = await applyTransforms(transforms, rendered, args)
+
+                    if (held.some(item => !rendered.includes(item))) error(`a transform of block '${ blockName }' has changed the placeholder of a nested block or asset stack`)
+
+                    if (!isNull(node) && !canReplace) node.publish(rendered.split(placeholderPattern))
+
+                    rendered = await resolvePlaceholders(rendered)
     
-                    await conditionalFncCall('postRender', args, fnc, startingTemplate);
+                    await callHook('postRender', args, fncObj, startingTemplate)
     
-                    await conditionalFncCall('setCache', [rendered, ...args], fnc, startingTemplate)
+                    await callHook('setCache', [rendered, ...args], fncObj, startingTemplate, isNull(blockCache) ? null : () => cache.set(
+                        cacheId, [...new Set([...frame.reads, ...local[accessed]])].sort(), varFnc, rendered, frame.pushes, stackNonce
+                    ))
                 }
     
-                await conditionalFncCall('postCall', args, fnc, startingTemplate)
+                await callHook('postCall', args, fncObj, startingTemplate)
             } catch (e) {
-                rendered = '' + await conditionalFncCall('onError', [e, ...args], fnc, startingTemplate, rethrow)
+                if (signal.aborted) rethrow(e)
+                rendered = '' + await callHook('onError', [e, ...args], fncObj, startingTemplate, rethrow)
             }
     
+            if (!isNull(frame.trace)) tracer.exit(frame.trace, rendered)
+
             return rendered    
         } catch(e) {
-            e.message = (`${blockName} has thrown: ${ e.message }`)
-            rethrow(e)
+            if (!isNull(frame.trace)) tracer.exit(frame.trace, null, e)
+            if (signal.aborted) rethrow(e)
+
+            const errorFrame = {
+                block: blockName,
+                template: frame.template,
+                templateName: getTemplateName(frame.template, registry),
+                index: local.index ?? null,
+                entrypoint,
+            }
+
+            rethrow(e instanceof RenderError ? e.addFrame(errorFrame) : new RenderError(e, errorFrame))
         }
     }
 
-    return renderBlock(entrypoint, origin, getLocalObj(dictionary), false)
+    /**
+     * Passes the output of the entrypoint through the final transforms. Nested
+     * renderings have no final transforms, their output is part of the output
+     * of the outer rendering.
+     *
+     * @param {string} rendered
+     *
+     * @return {Promise<string>}
+     */
+    const finalize = (rendered) => applyTransforms(finalTransforms, rendered, [lang, entrypoint, origin, dictionary, null, getFncObj(null)])
+
+    if (streaming) {
+        const root = defer(node => renderBlock(entrypoint, origin, getLocalObj(dictionary), false, null, node))
+
+        root.result.then(cleanup, cleanup)
+
+        return [root, nodes, fillStacks, finalTransforms.length ? finalize : null]
+    }
+
+    return Promise.race([aborted, renderBlock(entrypoint, origin, getLocalObj(dictionary), false)])
+        .then(rendered => isNull(options[sharedStacks]) ? fillStacks(rendered) : rendered)
+        .then(finalize)
+        .finally(cleanup)
 }
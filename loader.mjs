@@ -0,0 +1,143 @@
+/**
+ * block-inheritance-templating
+ * block based template rendering engine
+ *
+ * @package block-inheritance-templating
+ * @link https://github.com/Koudela/block-inheritance-templating/
+ * @copyright Copyright (c) 2022-2025 Thomas Koudela
+ * @license http://opensource.org/licenses/MIT MIT License
+ */
+
+export { createRegistry, mapResolver, fsResolver }
+
+/**
+ * Returns a template registry. Template names are resolved by the `resolvers`
+ * (in the passed order) and cached. A resolver is a (async) function that
+ * returns the template for a template name or null.
+ *
+ * @param {...function(string): Object|null|Promise<Object|null>} resolvers
+ *
+ * @returns {Object}
+ */
+function createRegistry(...resolvers) {
+    const templates = new Map()
+    const loaded = new Map()
+    const names = new WeakMap()
+
+    const registry = {
+        /**
+         * @param {Object} template
+         *
+         * @returns {string|null} The name of a template or null if it was not resolved by the registry.
+         */
+        nameOf: (template) => names.get(template) ?? template?.name ?? null,
+
+        /**
+         * @param {string} name
+         * @param {Object|null} referrer The template that references the name.
+         *
+         * @returns {Promise<Object>} The template named `name`.
+         */
+        load: (name, referrer=null) => {
+            if (!templates.has(name)) {
+                const loading = (async () => {
+                    for (const resolver of resolvers) {
+                        const template = await resolver(name)
+
+                        if (template !== null && typeof template !== 'undefined') {
+                            names.set(template, name)
+                            loaded.set(name, template)
+                            return template
+                        }
+                    }
+
+                    throw Error(`template '${ name }'${ referrer ? ` referenced by '${ registry.nameOf(referrer) ?? 'an anonymous template' }'` : '' } can not be resolved`)
+                })()
+
+                templates.set(name, loading)
+                loading.catch(() => templates.delete(name))
+            }
+
+            return templates.get(name)
+        },
+
+        /**
+         * Loads the template (if a name is passed) and all templates and traits
+         * referenced by name in its inheritance chain. Stops at cycles.
+         *
+         * @param {Object|string} template
+         *
+         * @returns {Promise<Object>} The template.
+         */
+        resolve: async (template) => {
+            template = typeof template === 'string' ? await registry.load(template) : template
+
+            const visited = new Set()
+            const pending = [template]
+
+            while (pending.length) {
+                const tpl = pending.pop()
+
+                if (typeof tpl !== 'object' || tpl === null || visited.has(tpl)) continue
+                visited.add(tpl)
+
+                for (const reference of [tpl.parent, ...(Array.isArray(tpl.uses) ? tpl.uses : [])]) {
+                    pending.push(typeof reference === 'string' ? await registry.load(reference, tpl) : reference)
+                }
+            }
+
+            return template
+        },
+
+        /**
+         * @param {string} name
+         *
+         * @returns {Object} The already loaded template named `name`.
+         */
+        get: (name) => {
+            if (!loaded.has(name)) throw Error(`template '${ name }' has not been loaded`)
+
+            return loaded.get(name)
+        },
+    }
+
+    return registry
+}
+
+/**
+ * @param {Map|Object} map
+ *
+ * @returns {function(string): Object|null} A resolver that looks up the template name in the `map`.
+ */
+function mapResolver(map) {
+    return name => (map instanceof Map ? map.get(name) : (Object.hasOwn(map, name) ? map[name] : null)) ?? null
+}
+
+/**
+ * Returns a (node only) resolver that imports the default export of the
+ * template module `${ root }/${ name }${ extension }`.
+ *
+ * @param {string} root the root directory
+ * @param {string} extension
+ *
+ * @returns {function(string): Promise<Object|null>}
+ */
+function fsResolver(root, extension='.mjs') {
+    return async name => {
+        const { resolve, sep } = await import('node:path')
+        const { pathToFileURL } = await import('node:url')
+        const { access } = await import('node:fs/promises')
+        const base = resolve(root)
+        const path = resolve(base, name + extension)
+
+        if (!path.startsWith(base + sep)) return null
+
+        try {
+            await access(path)
+        } catch (e) {
+            return null
+        }
+
+        return (await import(pathToFileURL(path).href)).default ?? null
+    }
+}
@@ -0,0 +1,154 @@
+/**
+ * block-inheritance-templating
+ * block based template rendering engine
+ *
+ * @package block-inheritance-templating
+ * @link https://github.com/Koudela/block-inheritance-templating/
+ * @copyright Copyright (c) 2022-2025 Thomas Koudela
+ * @license http://opensource.org/licenses/MIT MIT License
+ */
+
+import { isNull } from './util.mjs'
+
+export { createTracer }
+
+/**
+ * Returns a tracer that records a tree of all rendered blocks. Pass it as the
+ * `tracer` option to `render()`.
+ *
+ * @param {function(): number} now the clock in milliseconds
+ *
+ * @returns {Object}
+ */
+function createTracer(now = () => performance.now()) {
+    const start = now()
+    const roots = []
+    const templateIds = new WeakMap()
+    let nodeCount = 0
+    let templateCount = 0
+
+    /**
+     * @param {Object} template
+     *
+     * @returns {int} The identity of an anonymous template.
+     */
+    const templateId = (template) => {
+        if (!templateIds.has(template)) templateIds.set(template, templateCount++)
+
+        return templateIds.get(template)
+    }
+
+    const tracer = {
+        roots,
+
+        /**
+         * Records the start of a block.
+         *
+         * @param {string} blockName
+         * @param {Object} template the template that supplies the block
+         * @param {string|null} templateName
+         * @param {int|null} index
+         * @param {Object|null} parent the node of the calling block
+         *
+         * @returns {Object} The node.
+         */
+        enter: (blockName, template, templateName, index, parent) => {
+            const node = {
+                id: nodeCount++,
+                block: blockName,
+                template: templateName ?? `anonymous template #${ templateId(template) }`,
+                index,
+                start: now() - start,
+                duration: null,
+                cache: null,
+                size: null,
+                error: null,
+                children: [],
+            }
+
+            if (isNull(parent)) roots.push(node)
+            else parent.children.push(node)
+
+            return node
+        },
+
+        /**
+         * Records if `getCache()` hit.
+         *
+         * @param {Object} node
+         * @param {boolean} hit
+         */
+        cache: (node, hit) => {
+            node.cache = hit ? 'hit' : 'miss'
+        },
+
+        /**
+         * Records the end of a block.
+         *
+         * @param {Object} node
+         * @param {string|null} rendered
+         * @param {Error|null} error
+         */
+        exit: (node, rendered, error=null) => {
+            node.duration = now() - start - node.start
+            node.size = isNull(rendered) ? null : rendered.length
+            node.error = isNull(error) ? null : error.message
+        },
+
+        /**
+         * @returns {Array<Object>} The recorded block call trees.
+         */
+        toJSON: () => roots.map(function strip({ id, children, ...node }) {
+            return { ...node, children: children.map(strip) }
+        }),
+
+        /**
+         * Returns the recorded blocks as complete events of the chrome trace
+         * event format. Blocks that overlap without being nested are placed on
+         * different threads (`tid`).
+         *
+         * @returns {Object}
+         */
+        toChromeTrace: () => {
+            const nodes = []
+            const collect = node => {
+                nodes.push(node)
+                node.children.forEach(collect)
+            }
+            const lanes = []
+
+            roots.forEach(collect)
+
+            return {
+                traceEvents: nodes.sort((a, b) => a.start - b.start).map(node => {
+                    const end = node.start + (node.duration ?? 0)
+                    let lane = 0
+
+                    for (;; lane++) {
+                        const stack = lanes[lane] ?? (lanes[lane] = [])
+
+                        while (stack.length && stack[stack.length - 1] <= node.start) stack.pop()
+                        if (!stack.length || stack[stack.length - 1] >= end) {
+                            stack.push(end)
+                            break
+                        }
+                    }
+
+                    return {
+                        name: node.block,
+                        cat: 'block',
+                        ph: 'X',
+                        ts: node.start * 1000,
+                        dur: (node.duration ?? 0) * 1000,
+                        pid: 1,
+                        tid: lane + 1,
+                        args: { template: node.template, index: node.index, cache: node.cache, size: node.size, error: node.error },
+                    }
+                }),
+                displayTimeUnit: 'ms',
+            }
+        },
+    }
+
+    return tracer
+}
@@ -9,7 +9,22 @@
  */
 
 import test from 'ava'
-import { render } from './index.mjs'
+import { mkdtemp, mkdir, writeFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { once, getEventListeners } from 'node:events'
+import { get } from 'node:http'
+import {
+    render, renderStream, RenderError, inspect, validate,
+    SafeString, escapeHtml, html, createEscape,
+    compile, TemplateSyntaxError,
+    createRegistry, mapResolver, fsResolver,
+    createTracer,
+    createBlockCache, lruStore,
+    formatMessage, createCatalogTrans,
+    negotiateLanguages, expressEngine, expressLocals, koaRender, fastifyView,
+    builtinFilters,
+} from './index.mjs'
 
 const getVarsFnc = (point, result=null) => {
     return (name) => {
@@ -382,7 +397,7 @@ test('special function onError()', async t => {
         await render(template, {}, 'en')
         t.fail()
     } catch (e) {
-        t.is('main has thrown: Ups', e.message)
+        t.is("Ups\n    at block 'main' of anonymous template (entrypoint 'main')", e.message)
     }
     const result = await render(template, {}, 'en', { onError: (e) => e.message + '!' })
     t.is(result, 'Ups!')
@@ -390,7 +405,7 @@ test('special function onError()', async t => {
         await render(template, {}, 'en', { onError: (e) => { throw new Error(e.message + '?') }})
         t.fail()
     } catch (e) {
-        t.is('main has thrown: Ups?', e.message)
+        t.is("Ups?\n    at block 'main' of anonymous template (entrypoint 'main')", e.message)
     }
 })
 
@@ -608,3 +623,1327 @@ test('render()', async t => {
 </body>
 </html>`)
 })
+
+test('renderStream()', async t => {
+    let resolveContent
+    const content = new Promise(resolve => resolveContent = resolve)
+    const template = {
+        parent: null,
+        block: {
+            main: async (vars, local, fnc) => `<head>${ await fnc.block('head') }</head>`
+                +`<body>${ await fnc.block('content') }|${ await fnc.iterate('item', [{ i: 'a' }, { i: 'b' }], ',') }</body>`,
+            head: () => `<title>${ 'title' }</title>`,
+            content: async (vars, local) => `${ await content }|${ await local.parent() }`,
+            item: (vars) => vars('i'),
+        },
+    }
+    const chunks = []
+    const iterator = renderStream({ parent: template, block: { content: async () => 'parent' } }, {}, 'en')
+    const first = await iterator.next()
+    chunks.push(first.value)
+    t.is(chunks.join(''), '<head>')
+    let next = await iterator.next()
+    chunks.push(next.value)
+    t.is(chunks.join(''), '<head><title>title</title>')
+    next = await iterator.next()
+    chunks.push(next.value)
+    t.is(chunks.join(''), '<head><title>title</title></head><body>')
+    resolveContent('content')
+    for await (const chunk of { [Symbol.asyncIterator]: () => iterator }) chunks.push(chunk)
+    t.is(chunks.join(''), '<head><title>title</title></head><body>parent|a,b</body>')
+})
+
+test('renderStream() hooks and errors', async t => {
+    const calls = []
+    const hook = name => (lang, blockName) => { calls.push(name+':'+blockName) }
+    const template = {
+        parent: null,
+        block: {
+            main: async (vars, local, fnc) => `[${ await fnc.block('ok') }|${ await fnc.block('fails') }]`,
+            ok: () => 'ok',
+            fails: () => { throw new Error('Ups') },
+        },
+    }
+    const join = async (iterable) => {
+        let result = ''
+        for await (const chunk of iterable) result += chunk
+        return result
+    }
+    const fnc = { preCall: hook('preCall'), postCall: hook('postCall'), onError: (e, lang, blockName) => blockName === 'fails' ? '!' : null }
+    t.is(await join(renderStream(template, {}, 'en', fnc)), '[ok|!]')
+    t.is(calls[0], 'preCall:main')
+    t.is(calls[calls.length - 1], 'postCall:main')
+    t.is(calls.includes('postCall:ok'), true)
+    t.is(calls.includes('postCall:fails'), false)
+    const error = await t.throwsAsync(join(renderStream(template, {}, 'en')))
+    t.is(error.message, "Ups\n    at block 'fails' of anonymous template (entrypoint 'main')\n    at block 'main' of anonymous template (entrypoint 'main')")
+    t.is(await join(renderStream(template, {}, 'en', { onError: (e) => 'replaced' })), '[ok|replaced]')
+})
+
+test('escapeHtml() + html``', async t => {
+    t.is(escapeHtml(`<a href="x" title='y'>&</a>`), '&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;&amp;&lt;/a&gt;')
+    t.is(escapeHtml(new SafeString('<b>')), '<b>')
+    t.is(escapeHtml(['<', new SafeString('<')]), '&lt;<')
+    const safe = html`<p title="${ '"' }">${ '<b>' }${ new SafeString('<i></i>') }</p>`
+    t.is(safe instanceof SafeString, true)
+    t.is(`${ safe }`, '<p title="&quot;">&lt;b&gt;<i></i></p>')
+})
+
+test('escaping mode', async t => {
+    const template = {
+        parent: {
+            parent: null,
+            block: {
+                content: (vars, local, fnc) => fnc.html`<p>${ vars('title') }</p>`,
+            },
+        },
+        block: {
+            main: async (vars, local, fnc) => fnc.html`<h1>${ vars('title') }</h1>${ await fnc.block('content') }${ await fnc.iterate('item', [{}, {}], '<br>') }${ await fnc.block('raw') }`,
+            content: async (vars, local, fnc) => fnc.html`<div>${ await local.parent() }</div>`,
+            item: (vars, local) => `<${ local.index }>`,
+            raw: (vars) => vars('title'),
+        },
+    }
+    const vars = { title: '<script>' }
+    const escaped = '&lt;script&gt;'
+    t.is(
+        await render(template, vars, 'en', {}, 'main', { escape: true }),
+        `<h1>${ escaped }</h1><div><p>${ escaped }</p></div>&lt;0&gt;<br>&lt;1&gt;${ escaped }`
+    )
+    t.is(await render(template, vars, 'en', {}, 'raw'), '<script>')
+    t.is(await render(template, vars, 'en', {}, 'raw', { escape: true }), escaped)
+})
+
+test('createEscape()', async t => {
+    const escape = createEscape()
+    t.is(`${ escape.html('<b>') }`, '&lt;b&gt;')
+    t.is(`${ escape.attr('a b"<') }`, 'a&#x20;b&#x22;&#x3c;')
+    t.is(`${ escape.url('https://x.y/a b?q="1"&x=é') }`, 'https://x.y/a%20b?q=%221%22&amp;x=%C3%A9')
+    t.is(`${ escape.url(' JavaScript:alert(1)') }`, 'about:invalid')
+    t.is(`${ escape.url('/relative/path') }`, '/relative/path')
+    t.is(`${ escape.js('a"</script>') }`, 'a\\u0022\\u003c\\u002fscript\\u003e')
+    t.is(`${ escape.css('red; x') }`, 'red\\3b \\20 x')
+    t.is(`${ escape.json({ a: '</script>' }) }`, '{"a":"\\u003c/script\\u003e"}')
+    t.is(`${ escape.json(undefined) }`, 'null')
+    t.is(escape.attr('x') instanceof SafeString, true)
+    const strict = createEscape(true)
+    t.throws(() => strict.url('javascript:alert(1)'), { message: "unsafe url scheme 'javascript:' in url 'javascript:alert(1)'" })
+    t.throws(() => strict.attr({}), { message: "unsafe value '[object Object]' of type object in attribute context" })
+    t.throws(() => strict.css(NaN), { message: "unsafe value 'NaN' of type number in css context" })
+    t.throws(() => strict.json(() => null))
+})
+
+test('local.escape + strict mode', async t => {
+    const template = {
+        parent: null,
+        block: {
+            main: async (vars, local, fnc) => fnc.html`<a href="${ local.escape.url(vars('href')) }" title=${ local.escape.attr(vars('title')) }>${ vars('title') }</a>`,
+        },
+    }
+    const vars = { href: 'javascript:alert(1)', title: 'a b' }
+    t.is(await render(template, vars, 'en', {}, 'main', { escape: true }), '<a href="about:invalid" title=a&#x20;b>a b</a>')
+    const error = await t.throwsAsync(render(template, vars, 'en', {}, 'main', { escape: true, strict: true }))
+    t.is(error.cause.message, "unsafe url scheme 'javascript:' in url 'javascript:alert(1)'")
+    const onError = (e) => e.message
+    t.is(await render(template, { href: '/', title: null }, 'en', { onError }, 'main', { strict: true }), "unsafe value 'null' of type null in attribute context")
+    t.is(await render({ parent: null, block: { main: (vars, local, fnc) => fnc.html`${ vars('x') }` } }, {}, 'en', { onError }, 'main', { strict: true }), "unsafe value 'null' of type null in html context")
+})
+
+test('compile()', async t => {
+    const layout = compile(`<html lang="{% trans %}lang{% endtrans %}">
+<title>{% block title %}{{ title }}{% endblock %}</title>
+{# navigation #}
+<nav>{% for item in nav %}<a href="{{ item.href }}">{{ item.label }}{% block suffix %}{% endblock %}</a>{% endfor %}</nav>
+{% block content %}{% endblock %}
+</html>`, { name: 'layout' })
+    const page = compile(`{% extends "layout" %}
+{% block title %}{% trans from "titles" %}page{% endtrans %} - {{ parent() }}{% endblock %}
+{% block suffix %}!{{ item.label }}{% endblock %}
+{% block content %}<p>{{ content }}</p>{% endblock %}`, { name: 'page', templates: { layout } })
+    const trans = (item, category) => category === 'titles' ? 'Page' : item === 'lang' ? 'en' : null
+    const vars = {
+        title: 'Hello & Bye',
+        nav: [{ href: '/a', label: 'A' }, { href: '/b?x="1"', label: 'B' }],
+        content: '<script>',
+    }
+    const expected = `<html lang="en">
+<title>Page - Hello &amp; Bye</title>
+
+<nav><a href="/a">A!A</a><a href="/b?x=&quot;1&quot;">B!B</a></nav>
+<p>&lt;script&gt;</p>
+</html>`
+    t.is(await render(page, vars, 'en', { trans }), expected)
+    t.is(await render(page, vars, 'en', { trans }, 'main', { escape: true }), expected)
+})
+
+test('compile() syntax errors', async t => {
+    const syntaxError = (source, options) => t.throws(() => compile(source, options), { instanceOf: TemplateSyntaxError })
+    t.is(syntaxError('a\n  {{ foo bar }}').message, "invalid expression 'foo bar' at line 2, column 3")
+    t.is(syntaxError('{% block a %}', { name: 'tpl' }).message, 'missing {% endblock %} in "tpl" at line 1, column 14')
+    t.is(syntaxError('{% block a %}{% endblock %}{% block a %}{% endblock %}').message, "block 'a' is already defined at line 1, column 28")
+    t.is(syntaxError('{{ parent() }}').message, 'parent() can only be used inside a block at line 1, column 1')
+    t.is(syntaxError('{% extends "x" %}', { templates: {} }).message, "unknown template 'x' at line 1, column 1")
+    t.is(syntaxError('{% extends "x" %}\n text', { templates: { x: {} } }).message, 'a template that extends another template can not have content outside of blocks at line 1, column 18')
+    t.is(syntaxError('{% if x %}').message, "unexpected tag 'if' at line 1, column 1")
+    t.is(syntaxError('x {{ y').message, "unclosed '{{' at line 1, column 3")
+    const error = syntaxError('\n\n{% for x %}')
+    t.is(error.line, 3)
+    t.is(error.column, 1)
+})
+
+test('registry + mapResolver()', async t => {
+    const templates = {
+        'layouts/base': { parent: null, block: { main: async (vars, local, fnc) => `base|${ await fnc.block('content') }` } },
+        'layouts/page': { parent: 'layouts/base', block: { content: async (vars, local, fnc) => `page|${ await fnc.render('partials/footer') }` } },
+        'partials/footer': { parent: null, block: { main: () => 'footer' } },
+        'pages/home': { parent: 'layouts/page', block: {}, vars: { x: 'x' } },
+        'pages/broken': { parent: 'layouts/missing', block: {} },
+        'text': compile('{% extends "layouts/base" %}{% block content %}{{ x }}{% endblock %}'),
+    }
+    const registry = createRegistry(mapResolver(templates))
+    t.is(await render('pages/home', {}, 'en', {}, 'main', { registry }), 'base|page|footer')
+    t.is(await render(templates['pages/home'], {}, 'en', {}, 'main', { registry }), 'base|page|footer')
+    t.is(await render('text', { x: 'text' }, 'en', {}, 'main', { registry }), 'base|text')
+    t.is(registry.nameOf(templates['layouts/page']), 'layouts/page')
+    await t.throwsAsync(render('pages/broken', {}, 'en', {}, 'main', { registry }), {
+        message: "template 'layouts/missing' referenced by 'pages/broken' can not be resolved",
+    })
+    await t.throwsAsync(render('pages/none', {}, 'en', {}, 'main', { registry }), {
+        message: "template 'pages/none' can not be resolved",
+    })
+    await t.throwsAsync(render('pages/home'), { message: "template 'pages/home' can not be resolved without a registry" })
+    const fallback = createRegistry(mapResolver(new Map()), mapResolver(new Map([['a', templates['partials/footer']]])))
+    t.is(await render('a', {}, 'en', {}, 'main', { registry: fallback }), 'footer')
+})
+
+test('fsResolver()', async t => {
+    const root = await mkdtemp(join(tmpdir(), 'bit-'))
+    await mkdir(join(root, 'layouts'))
+    await writeFile(join(root, 'layouts', 'base.mjs'), `export default { parent: null, block: { main: async (vars, local, fnc) => 'base|' + await fnc.block('content') } }`)
+    await writeFile(join(root, 'page.mjs'), `export default { parent: 'layouts/base', block: { content: () => 'page' } }`)
+    await writeFile(join(root, 'broken.mjs'), `export default { parent: '../page', block: {} }`)
+    const registry = createRegistry(fsResolver(root))
+    t.is(await render('page', {}, 'en', {}, 'main', { registry }), 'base|page')
+    await t.throwsAsync(render('broken', {}, 'en', {}, 'main', { registry }), {
+        message: "template '../page' referenced by 'broken' can not be resolved",
+    })
+})
+
+test('inheritance chain cycle detection', async t => {
+    const a = { name: 'a', parent: null, block: { main: async (vars, local, fnc) => await fnc.block('missing') + vars('missing') } }
+    const b = { parent: a, block: {} }
+    a.parent = b
+    const c = { name: 'c', parent: a, block: {} }
+    const message = 'template inheritance chain contains a cycle: c -> a -> anonymous template #2 -> a'
+    await t.throwsAsync(render(c, {}, 'en'), { message })
+    await t.throwsAsync(render(c, {}, 'en', {}, 'main', { registry: createRegistry() }), { message })
+    const d = { parent: null, block: { main: async (vars, local, fnc) => await fnc.render(c) } }
+    t.is((await t.throwsAsync(render(d, {}, 'en'))).cause.message, message)
+    const registry = createRegistry(mapResolver({
+        x: { parent: 'y', block: {} },
+        y: { parent: 'z', block: {} },
+        z: { parent: 'x', block: {} },
+    }))
+    await t.throwsAsync(render('x', {}, 'en', {}, 'main', { registry }), { message: 'template inheritance chain contains a cycle: x -> y -> z -> x' })
+})
+
+test('render() options object', async t => {
+    const template = {
+        parent: null,
+        block: {
+            main: async (vars, local, fnc) => `${ vars('x') }|${ local.lang }|${ fnc.test() }`,
+            other: (vars, local, fnc) => fnc.html`${ vars('x') }`,
+        },
+    }
+    const fnc = { test: () => 'test' }
+    t.is(await render({ template, variables: { x: '<x>' }, lang: 'en', fnc }), '<x>|en|test')
+    t.is(await render({ template, variables: { x: '<x>' }, fnc, entrypoint: 'other', escape: true }), '&lt;x&gt;')
+    let streamed = ''
+    for await (const chunk of renderStream({ template, variables: { x: 'x' }, lang: 'de', fnc })) streamed += chunk
+    t.is(streamed, 'x|de|test')
+})
+
+test('maxBlockCount + maxDepth', async t => {
+    const template = {
+        parent: null,
+        block: {
+            main: async (vars, local, fnc) => await fnc.iterate('item', new Array(5).fill({})),
+            item: () => 'i',
+            nested: async (vars, local, fnc) => (local.vars('depth') ?? 0) < 3 ? 'n' + await fnc.block('nested', { depth: (local.vars('depth') ?? 0) + 1 }) : '',
+            localNested: async (vars, local) => (local.vars('depth') ?? 0) < 3 ? 'l' + await local.block('localNested', { depth: (local.vars('depth') ?? 0) + 1 }) : '',
+        },
+    }
+    t.is(await render({ template }), 'iiiii')
+    t.is((await t.throwsAsync(render({ template, maxBlockCount: 5 }))).cause.message, 'block count exceeds limit of 5')
+    t.is(await render({ template, entrypoint: 'nested', maxDepth: 4 }), 'nnn')
+    const depthError = await t.throwsAsync(render({ template, entrypoint: 'nested', maxDepth: 3 }))
+    t.is(depthError.cause.message, 'block depth exceeds limit of 3')
+    t.is(depthError.blockStack.length, 4)
+    t.is(await render({ template, entrypoint: 'localNested', maxDepth: 4 }), 'lll')
+    await t.throwsAsync(render({ template, entrypoint: 'localNested', maxDepth: 2 }))
+    const recursive = { parent: null, block: { main: async (vars, local, fnc) => 'r' + await fnc.render(recursive) } }
+    t.regex((await t.throwsAsync(render({ template: recursive, maxDepth: 3 }))).message, /block depth exceeds limit of 3/)
+    t.regex((await t.throwsAsync(render({ template: recursive, maxBlockCount: 5 }))).message, /block count exceeds limit of 5/)
+    t.regex((await t.throwsAsync(render({ template: recursive }))).message, /block count exceeds limit of 1000/)
+})
+
+test('timeout + signal + local.signal', async t => {
+    let blockSignal = null
+    const template = {
+        parent: null,
+        block: {
+            main: async (vars, local, fnc) => `<head>${ await fnc.block('content') }`,
+            content: (vars, local) => {
+                blockSignal = local.signal
+                return new Promise((resolve, reject) => local.signal.addEventListener('abort', () => reject(Error('stopped'))))
+            },
+        },
+    }
+    await t.throwsAsync(render({ template, timeout: 10 }), { message: 'rendering exceeds timeout of 10ms' })
+    t.is(blockSignal.aborted, true)
+    const controller = new AbortController()
+    const rendering = render({ template, signal: controller.signal })
+    controller.abort(Error('client disconnected'))
+    await t.throwsAsync(rendering, { message: 'client disconnected' })
+    await t.throwsAsync(render({ template, signal: AbortSignal.abort(Error('already aborted')) }), { message: 'already aborted' })
+    const chunks = []
+    const streamController = new AbortController()
+    await t.throwsAsync(async () => {
+        for await (const chunk of renderStream({ template, signal: streamController.signal })) {
+            chunks.push(chunk)
+            streamController.abort(Error('client disconnected'))
+        }
+    }, { message: 'client disconnected' })
+    t.deepEqual(chunks, ['<head>'])
+})
+
+test('tracer', async t => {
+    let time = 0
+    const tracer = createTracer(() => time++)
+    const layout = {
+        name: 'layout',
+        parent: null,
+        block: {
+            main: async (vars, local, fnc) => `${ await fnc.block('content') }|${ await fnc.render(partial) }`,
+            content: () => 'layout',
+        },
+    }
+    const partial = { parent: null, block: { main: () => 'partial' } }
+    const page = {
+        parent: layout,
+        block: {
+            content: async (vars, local, fnc) => `${ await local.parent() }|${ await fnc.iterate('item', [{}, {}]) }`,
+            item: (vars, local) => `${ local.index }`,
+        },
+    }
+    const getCache = (lang, blockName, template, vars, local) => local.index === 1 ? 'x' : null
+    t.is(await render({ template: page, tracer, fnc: { getCache } }), 'layout|0x|partial')
+    const simplify = nodes => nodes.map(({ block, template, index, cache, size, children }) => [block, template, index, cache, size, simplify(children)])
+    t.deepEqual(simplify(tracer.toJSON()), [
+        ['main', 'layout', null, 'miss', 17, [
+            ['content', 'anonymous template #0', null, 'miss', 9, [
+                ['content', 'layout', null, 'miss', 6, []],
+                ['item', 'anonymous template #0', 0, 'miss', 1, []],
+                ['item', 'anonymous template #0', 1, 'hit', 1, []],
+            ]],
+            ['main', 'anonymous template #1', null, 'miss', 7, []],
+        ]],
+    ])
+    const [main] = tracer.toJSON()
+    t.is(main.start, 1)
+    t.is(main.duration > main.children[0].duration, true)
+    t.is(JSON.parse(JSON.stringify(tracer))[0].block, 'main')
+    const { traceEvents } = tracer.toChromeTrace()
+    t.is(traceEvents.length, 6)
+    t.deepEqual(Object.keys(traceEvents[0]), ['name', 'cat', 'ph', 'ts', 'dur', 'pid', 'tid', 'args'])
+    t.is(traceEvents[0].ph, 'X')
+    t.deepEqual(traceEvents[0].args, { template: 'layout', index: null, cache: 'miss', size: 17, error: null })
+    const errorTracer = createTracer()
+    await t.throwsAsync(render({ template: { parent: null, block: { main: () => { throw Error('Ups') } } }, tracer: errorTracer }))
+    t.is(errorTracer.toJSON()[0].error, 'Ups')
+})
+
+test('RenderError', async t => {
+    const cause = new Error('x')
+    const layout = {
+        name: 'layout',
+        parent: null,
+        block: {
+            main: async (vars, local, fnc) => `${ await fnc.block('content') }`,
+            item: () => { throw cause },
+        },
+    }
+    const page = {
+        parent: layout,
+        block: {
+            content: async (vars, local, fnc) => `${ await fnc.render(page, {}, 'en', {}, 'list') }`,
+            list: async (vars, local, fnc) => `${ await fnc.iterate('item', [{}, {}]) }`,
+        },
+    }
+    const error = await t.throwsAsync(render(page, {}, 'en'), { instanceOf: RenderError })
+    t.is(error.cause, cause)
+    t.is(cause.message, 'x')
+    t.deepEqual(error.blockStack.map(({ block, template, templateName, index, entrypoint }) => [block, template, templateName, index, entrypoint]), [
+        ['item', layout, 'layout', 0, 'list'],
+        ['list', page, null, null, 'list'],
+        ['content', page, null, null, 'main'],
+        ['main', layout, 'layout', null, 'main'],
+    ])
+    t.is(error.message, `x
+    at block 'item' of template 'layout' at index 0 (entrypoint 'list')
+    at block 'list' of anonymous template (entrypoint 'list')
+    at block 'content' of anonymous template (entrypoint 'main')
+    at block 'main' of template 'layout' (entrypoint 'main')`)
+    const missing = await t.throwsAsync(render({ parent: null, block: { main: () => 1 } }, {}, 'en'), { instanceOf: RenderError })
+    t.is(missing.message, "block 'main' has to return a string\n    at block 'main' of anonymous template (entrypoint 'main')")
+})
+
+test('block cache', async t => {
+    const calls = []
+    const template = {
+        parent: null,
+        block: {
+            main: async (vars, local, fnc) => {
+                calls.push('main')
+                return `${ vars('title') }: ${ await fnc.iterate('item', vars('items')) } ${ await fnc.block('footer') }`
+            },
+            item: (vars, local) => {
+                calls.push('item')
+                return `${ local.vars('name') }${ local.index }`
+            },
+            footer: (vars) => {
+                calls.push('footer')
+                return vars('copyright')
+            },
+        },
+    }
+    const cache = createBlockCache()
+    const variables = { title: 'A', items: [{ name: 'x' }, { name: 'y' }], copyright: 'c', unused: 1 }
+    const renderCached = async variables => {
+        calls.length = 0
+        return render({ template, variables, lang: 'en', cache })
+    }
+
+    t.is(await renderCached(variables), 'A: x0y1 c')
+    t.deepEqual(calls, ['main', 'item', 'item', 'footer'])
+    t.is(await renderCached({ ...variables, unused: 2 }), 'A: x0y1 c')
+    t.deepEqual(calls, [])
+    t.is(await renderCached({ ...variables, title: 'B' }), 'B: x0y1 c')
+    t.deepEqual(calls, ['main'])
+    t.is(await renderCached({ ...variables, copyright: 'd' }), 'A: x0y1 d')
+    t.deepEqual(calls, ['main', 'footer'])
+    t.is(await renderCached({ ...variables, copyright: 'd', title: 'C' }), 'C: x0y1 d')
+    t.deepEqual(calls, ['main'])
+    calls.length = 0
+    t.is(await render({ template, variables, lang: 'de', cache }), 'A: x0y1 c')
+    t.deepEqual(calls, ['main', 'item', 'item', 'footer'])
+
+    calls.length = 0
+    t.is(await render({ template, variables, lang: 'en', cache, fnc: { getCache: () => 'user' } }), 'user')
+    t.is(await renderCached({ ...variables, title: () => 'f' }), "() => 'f': x0y1 c")
+    t.is(await renderCached({ ...variables, title: () => 'f' }), "() => 'f': x0y1 c")
+    t.deepEqual(calls, ['main'])
+
+    const map = new Map()
+    const stream = renderStream({ template, variables, cache: createBlockCache(map, { prefix: 'tpl:' }) })
+    let output = ''
+    for await (const chunk of stream) output += chunk
+    t.is(output, 'A: x0y1 c')
+    t.is(map.size, 8)
+    t.true([...map.keys()].every(key => key.startsWith('tpl:')))
+    calls.length = 0
+    t.is(await render({ template, variables, cache: createBlockCache(map, { prefix: 'tpl:' }) }), 'A: x0y1 c')
+    t.deepEqual(calls, [])
+})
+
+test('lruStore', async t => {
+    let time = 0
+    const store = lruStore({ max: 2, ttl: 10, now: () => time })
+
+    store.set('a', 1)
+    store.set('b', 2)
+    t.is(store.get('a'), 1)
+    store.set('c', 3)
+    t.is(store.get('b'), null)
+    t.is(store.get('a'), 1)
+    t.is(store.size, 2)
+    time = 10
+    t.is(store.get('c'), null)
+    t.is(store.size, 1)
+    store.delete('a')
+    t.is(store.size, 0)
+})
+
+test('inspect()', async t => {
+    const nav = () => 'nav'
+    const registry = createRegistry(mapResolver({
+        base: {
+            parent: null,
+            block: { main: () => '', nav: () => '', footer: () => '' },
+            vars: { title: 'base', lang: 'en' },
+            fnc: { trans: () => null },
+        },
+        layout: {
+            parent: 'base',
+            block: name => name === 'nav' ? nav : null,
+            vars: name => name === 'title' ? 'layout' : null,
+        },
+    }))
+    const page = { parent: 'layout', block: { content: () => '', footer: () => '' }, fnc: { trans: () => null, onError: () => '' } }
+    const report = await inspect(page, { registry, blockNames: ['nav', 'main'], varNames: ['title', 'lang'] })
+    const base = registry.get('base')
+    const layout = registry.get('layout')
+
+    t.deepEqual(report.chain.map(({ name, blocks, vars, fnc }) => ({ name, blocks, vars, fnc })), [
+        { name: null, blocks: ['content', 'footer'], vars: [], fnc: ['trans', 'onError'] },
+        { name: 'layout', blocks: ['nav'], vars: ['title'], fnc: [] },
+        { name: 'base', blocks: ['main', 'nav', 'footer'], vars: ['title', 'lang'], fnc: ['trans'] },
+    ])
+    t.is(report.chain[0].template, page)
+    t.deepEqual(report.blocks, {
+        content: { template: page, name: null, overrides: [] },
+        footer: { template: page, name: null, overrides: [{ template: base, name: 'base' }] },
+        nav: { template: layout, name: 'layout', overrides: [{ template: base, name: 'base' }] },
+        main: { template: base, name: 'base', overrides: [] },
+    })
+    t.deepEqual(report.vars, {
+        title: { template: layout, name: 'layout', value: 'layout', overrides: [{ template: base, name: 'base' }] },
+        lang: { template: base, name: 'base', value: 'en', overrides: [] },
+    })
+    t.deepEqual(report.fnc, {
+        trans: { template: page, name: null, overrides: [{ template: base, name: 'base' }] },
+        onError: { template: page, name: null, overrides: [] },
+    })
+    t.deepEqual(Object.keys((await inspect('layout', { registry })).blocks), ['main', 'nav', 'footer'])
+    const traits = createRegistry(mapResolver({ a: { uses: ['b'], block: {} }, b: { uses: ['a'], block: {} } }))
+    await t.throwsAsync(inspect({ parent: null, uses: ['a'], block: {} }, { registry: traits }), { message: "trait 'a' uses itself" })
+})
+
+test('validate()', async t => {
+    const base = {
+        name: 'base',
+        parent: null,
+        block: {
+            main: async (vars, local, fnc) => `${ await fnc.block('nav') }${ await fnc.block('nav') }${ await fnc.block('content') }`,
+            content: async (vars, local, fnc) => `${ await fnc.block('sidebar') }${ vars('items').length }`,
+        },
+    }
+    const page = { parent: base, block: { nav: () => '' } }
+
+    t.deepEqual(await validate(page), [
+        { path: 'base.block.content', message: "calls the missing block 'sidebar'" },
+        { path: 'base.block.content', message: "Cannot read properties of null (reading 'length')" },
+    ])
+    t.deepEqual(await validate(page, { variables: { items: [] } }), [
+        { path: 'base.block.content', message: "calls the missing block 'sidebar'" },
+    ])
+    t.deepEqual(await validate(page, { entrypoint: 'header', dryRender: true }), [
+        { path: 'anonymous template #0', message: "calls the missing block 'header'" },
+    ])
+    t.deepEqual(await validate(page, { variables: { items: [] }, dryRender: false }), [])
+    t.is(await render({ template: page, variables: { items: [1] }, onMissingBlock: (blockName, callerName, callerTemplate) =>
+        `[${ blockName } of ${ callerName } in ${ callerTemplate.name }]`
+    }), '[sidebar of content in base]1')
+
+    const broken = {
+        parent: { name: 'layout', parent: 'base', block: { nav: 'nav' }, vars: 42, fnc: { trans: {}, helper: 1 } },
+        block: name => null,
+    }
+    t.deepEqual(await validate(broken), [
+        { path: 'layout.block.nav', message: 'has to be a function' },
+        { path: 'layout.vars', message: 'has to be an object or a function' },
+        { path: 'layout.fnc.trans', message: 'has to be a function' },
+        { path: 'layout.parent', message: "template 'base' can not be resolved without a registry" },
+    ])
+
+    const registry = createRegistry(mapResolver({ a: { parent: 'b', block: {} }, b: { parent: 'a' } }))
+    t.deepEqual(await validate('a', { registry }), [
+        { path: 'b.block', message: 'is missing' },
+        { path: 'b.parent', message: 'template inheritance chain contains a cycle: a -> b -> a' },
+    ])
+    t.deepEqual(await validate({ parent: 'c', block: {} }, { registry }), [
+        { path: 'anonymous template #0.parent', message: "template 'c' referenced by 'an anonymous template' can not be resolved" },
+    ])
+})
+
+test('traits', async t => {
+    const pagination = {
+        name: 'pagination',
+        block: {
+            pager: async (vars, local) => `<pager ${ vars('pageSize') }>${ await local.parent() }`,
+            card: () => 'pagination card',
+        },
+        vars: { pageSize: 10 },
+        fnc: { trans: item => `${ item }!` },
+    }
+    const cards = {
+        name: 'cards',
+        block: { card: () => 'card', list: async (vars, local, fnc) => `[${ await fnc.block('card') }]` },
+        uses: [{ block: { badge: () => 'badge' } }],
+    }
+    const base = { name: 'base', parent: null, block: { pager: () => 'base pager', card: () => 'base card' } }
+    const layout = {
+        name: 'layout',
+        parent: base,
+        uses: [pagination, cards],
+        prefer: { card: cards },
+        block: {
+            main: async (vars, local, fnc) => `${ await fnc.block('pager') } ${ await fnc.block('list') } ${ await fnc.block('badge') } ${ await local.trans('hi') }`,
+        },
+    }
+    const page = { parent: layout, block: { card: () => 'page card' }, vars: { pageSize: 20 } }
+
+    t.is(await render(layout, {}, 'en'), '<pager 10>base pager [card] badge hi!')
+    t.is(await render(page, {}, 'en'), '<pager 20>base pager [page card] badge hi!')
+    t.is(await render({ ...layout, prefer: { card: 'pagination' } }, {}, 'en'), '<pager 10>base pager [pagination card] badge hi!')
+
+    const conflict = { ...layout, prefer: {} }
+    const message = "'card' is supplied by the traits 'pagination', 'cards' of layout, resolve the conflict via 'prefer'"
+    t.is((await t.throwsAsync(render(conflict, {}, 'en'))).cause.message, message)
+    t.deepEqual(await validate(conflict, { dryRender: false }), [{ path: 'layout.block.card', message }])
+    t.deepEqual(await validate({ parent: null, block: {}, uses: [pagination, 'x', { block: { a: 1 } }] }), [
+        { path: 'anonymous template #0.uses.1', message: "trait 'x' can not be resolved without a registry" },
+        { path: 'anonymous template #0.uses.2.block.a', message: 'has to be a function' },
+    ])
+
+    const registry = createRegistry(mapResolver({ pagination, cards, page: { parent: null, uses: ['pagination'], block: { main: (vars, local, fnc) => fnc.block('pager') } } }))
+    t.is(await render('page', {}, 'en', {}, 'main', { registry }), '<pager 10>')
+
+    const report = await inspect(layout)
+    t.deepEqual(report.chain[0].uses, ['pagination', 'cards'])
+    t.deepEqual(report.chain[0].blocks, ['main', 'pager', 'card', 'list', 'badge'])
+    t.is(report.blocks.card.template, layout)
+    t.deepEqual(report.blocks.card.overrides, [{ template: base, name: 'base' }])
+    t.is(report.vars.pageSize.value, 10)
+})
+
+test('fnc.embed()', async t => {
+    const card = {
+        name: 'card',
+        parent: null,
+        block: {
+            main: async (vars, local, fnc) => `<card ${ local.vars('id') }>${ await fnc.block('title') }${ await fnc.block('body') }</card>`,
+            title: (vars) => `<h2>${ vars('title') }</h2>`,
+            body: () => 'default body',
+        },
+    }
+    const page = {
+        parent: null,
+        block: {
+            main: async (vars, local, fnc) => `${ await fnc.embed(card, {
+                body: async (vars, local, fnc) => `${ await local.parent() } + ${ await fnc.block('extra') } ${ local.lang }`,
+                extra: () => 'extra',
+            }, { id: 1 }) } ${ await fnc.block('body') }`,
+            body: () => 'page body',
+        },
+    }
+    const calls = []
+    const preCall = (lang, blockName) => { calls.push(blockName) }
+    const registry = createRegistry(mapResolver({ card }))
+
+    t.is(await render(page, { title: 'T' }, 'en', { preCall }), '<card 1><h2>T</h2>default body + extra en</card> page body')
+    t.deepEqual(calls.sort(), ['body', 'body', 'body', 'extra', 'main', 'main', 'title'])
+    t.is(await render({ ...page, block: { main: (vars, local, fnc) => fnc.embed('card', { title: () => 'x' }) } }, {}, 'en', {}, 'main', { registry }),
+        '<card null>xdefault body</card>')
+    await t.throwsAsync(render(page, { title: 'T' }, 'en', {}, 'main', { maxBlockCount: 5 }), { message: /block count exceeds limit of 5/ })
+
+    let output = ''
+    for await (const chunk of renderStream(page, { title: 'S' }, 'en')) output += chunk
+    t.is(output, '<card 1><h2>S</h2>default body + extra en</card> page body')
+})
+
+test('local.parent(localVars) and local.ancestor()', async t => {
+    const base = {
+        name: 'base',
+        parent: null,
+        block: {
+            main: (vars, local) => `base ${ vars('who') } ${ local.index }`,
+            footer: () => 'base footer',
+            item: (vars, local) => `${ vars('who') } ${ local.index }`,
+        },
+    }
+    const layout = {
+        name: 'layout',
+        parent: base,
+        block: {
+            main: async (vars, local) => `layout ${ await local.parent() }`,
+            footer: () => 'layout footer',
+        },
+    }
+    const page = {
+        parent: layout,
+        block: {
+            main: async (vars, local, fnc) => [
+                await local.parent({ who: 'parent' }),
+                await local.ancestor(2),
+                await local.ancestor('layout', 'footer'),
+                await local.ancestor(base, 'footer'),
+                await local.ancestor(0, 'footer'),
+                await local.ancestor(3),
+                await fnc.iterate('item', [{ who: 'item' }]),
+            ].join(' | '),
+            footer: () => 'page footer',
+            item: (vars, local) => local.parent({ who: 'item parent' }),
+        },
+    }
+    const registry = createRegistry(mapResolver({}))
+
+    t.is(await render(page, { who: 'global' }, 'en', {}, 'main', { registry }),
+        'layout base parent null | base global null | layout footer | base footer | page footer |  | item parent 0')
+    t.is(await render({ ...page, block: { main: page.block.main } }, { who: 'global' }, 'en'),
+        'layout base parent null | base global null | layout footer | base footer | layout footer |  | item 0')
+
+    const error = await t.throwsAsync(render({ ...page, block: { main: (vars, local) => local.ancestor('page') } }, {}, 'en'))
+    t.is(error.cause.message, "template 'page' is not an ancestor of the anonymous template")
+    t.is((await t.throwsAsync(render({ ...page, block: { main: (vars, local) => local.ancestor(-1) } }, {}, 'en'))).cause.message,
+        'ancestor level has to be a non-negative integer, -1 given')
+})
+
+test('asset stacks local.push() and local.stack()', async t => {
+    const widget = {
+        parent: null,
+        block: { main: (vars, local) => { local.push('scripts', '<script src="w.js"></script>'); return 'widget' } },
+    }
+    const layout = {
+        parent: null,
+        block: {
+            main: async (vars, local, fnc) => `<head>${ local.stack('styles') }</head><body${ vars('id') ?? '' }>${ await fnc.block('content') }${ local.stack('scripts') }</body>`,
+            content: async (vars, local, fnc) => `${ await fnc.iterate('card', [{}, {}]) } ${ await fnc.render(widget) }`,
+            card: (vars, local) => {
+                local.push('styles', '<link href="card.css">', 'card')
+                local.push('styles', '<link href="other.css">', 'card')
+                local.push('styles', `<style>.c${ local.index }{}</style>`)
+                local.push('styles', `<style>.c${ local.index }{}</style>`)
+                return 'card'
+            },
+        },
+    }
+    const expected = '<head><link href="card.css"><style>.c0{}</style><style>.c1{}</style></head>'
+        + '<body>cardcard widget<script src="w.js"></script></body>'
+
+    t.is(await render(layout, {}, 'en'), expected)
+
+    const cache = createBlockCache()
+    const card = layout.block.card
+    t.is(await render({ template: layout, cache }), expected)
+    layout.block.card = () => { throw Error('not cached') }
+    t.is(await render({ template: layout, cache, variables: { id: ' id="x"' } }), expected.replace('<body>', '<body id="x">'))
+    layout.block.card = card
+
+    layout.block.card = (vars, local) => {
+        local.push('styles', '<b>')
+        local.push('styles', html`<i>`)
+        return 'card'
+    }
+    t.is(await render({ parent: null, block: { main: (vars, local, fnc) => {
+        local.push('styles', '<b>')
+        local.push('styles', html`<i>`)
+        return fnc.html`<head>${ local.stack('styles') }</head>`
+    } } }, {}, 'en', {}, 'main', { escape: true }), '<head>&lt;b&gt;<i></head>')
+
+    const chunks = []
+    for await (const chunk of renderStream(layout, {}, 'en')) chunks.push(chunk)
+    t.is(chunks[0], '<head>')
+    t.is(chunks.join(''), '<head><b><i></head><body>cardcard widget<script src="w.js"></script></body>')
+
+    const error = await t.throwsAsync(render({ parent: null, block: { main: (vars, local) => local.push('styles', 1) ?? '' } }, {}, 'en'))
+    t.is(error.cause.message, "content pushed to stack 'styles' has to be a string")
+})
+
+test('formatMessage()', t => {
+    t.is(formatMessage('Hello {name}!', { name: 'Ann' }), 'Hello Ann!')
+    t.is(formatMessage('{count, plural, =0 {no items} one {# item} other {# items}}', { count: 0 }, 'en'), 'no items')
+    t.is(formatMessage('{count, plural, =0 {no items} one {# item} other {# items}}', { count: 1 }, 'en'), '1 item')
+    t.is(formatMessage('{count, plural, =0 {no items} one {# item} other {# items}}', { count: 1234 }, 'en'), '1,234 items')
+    t.is(formatMessage('{count, plural, one {# Eintrag} other {# Einträge}}', { count: 1234 }, 'de'), '1.234 Einträge')
+    t.is(formatMessage('{n, plural, offset:1 =0 {nobody} =1 {{name}} one {{name} and # other} other {{name} and # others}}', { n: 3, name: 'Ann' }, 'en'),
+        'Ann and 2 others')
+    t.is(formatMessage('{n, selectordinal, one {#st} two {#nd} few {#rd} other {#th}}', { n: 22 }, 'en'), '22nd')
+    t.is(formatMessage('{gender, select, female {she} male {he} other {they}} {rate, number, percent}', { gender: 'x', rate: 0.5 }, 'en'), 'they 50%')
+    t.is(formatMessage('{n, plural, one {{g, select, male {# his} other {#}}} other {{g, select, male {# his} other {# #}}}}', { n: 1200, g: 'male' }, 'en'), '1,200 his')
+    t.is(formatMessage('{g, select, other {#}} {n, plural, other {{g, select, other {#}}}}', { n: 2, g: 'x' }, 'en'), '# 2')
+    t.is(formatMessage('{value, number, integer} {value, number}', { value: 1234.5 }, 'en'), '1,235 1,234.5')
+    t.is(formatMessage('{day, date, long} {day, time, short}', { day: new Date(2024, 0, 2, 15, 4) }, 'en'), 'January 2, 2024 3:04 PM')
+    t.is(formatMessage("It''s '{literal}' {missing}", {}), "It's {literal} {missing}")
+    t.is(formatMessage('{d, date} {n, number, percent} {c, plural, other {#}} {g, select, other {x}} { name }', {}, 'en'),
+        '{d, date} {n, number, percent} {c, plural, other {#}} {g, select, other {x}} { name }')
+    t.throws(() => formatMessage('{n, plural, one {x}}', {}), { message: "the plural argument 'n' requires an 'other' option at position 19 of message '{n, plural, one {x}}'" })
+    t.throws(() => formatMessage('{n, foo}', {}), { message: "unknown argument type 'foo' at position 7 of message '{n, foo}'" })
+    t.throws(() => formatMessage('{n', {}), { message: "unclosed argument at position 0 of message '{n'" })
+    t.throws(() => formatMessage('a } b', {}), { message: "unexpected '}' at position 2 of message 'a } b'" })
+})
+
+test('local.trans() with params and createCatalogTrans()', async t => {
+    const catalog = {
+        en: {
+            messages: { items: '{count, plural, one {# item} other {# items}}' },
+            cart: { total: 'Total: {total, number, integer}' },
+        },
+        de: {
+            messages: { items: '{count, plural, one {# Artikel} other {# Artikel}}' },
+        },
+    }
+    const template = {
+        parent: null,
+        block: {
+            main: async (vars, local) => [
+                await local.trans('items', null, { count: vars('count') }),
+                await local.trans('total', 'cart', { total: 1234.5 }),
+                await local.trans('Hi {name}', null, { name: 'Bob' }),
+                await local.trans('items'),
+            ].join(' | '),
+        },
+    }
+
+    t.is(await render(template, { count: 2 }, 'en', { trans: createCatalogTrans(catalog) }),
+        '2 items | Total: 1,235 | Hi Bob | {count, plural, one {# item} other {# items}}')
+    t.is(await render({ ...template, fnc: { trans: createCatalogTrans(catalog) } }, { count: 1 }, 'de'),
+        '1 Artikel | total | Hi Bob | {count, plural, one {# Artikel} other {# Artikel}}')
+    t.is(await render(template, { count: 1 }, 'en', { trans: createCatalogTrans({ en: { default: { items: 'one' } } }, { defaultCategory: 'default' }) }),
+        'one | total | Hi Bob | one')
+    const trans = createCatalogTrans(catalog)
+    t.is(trans('toString', null, 'en'), null)
+    t.is(trans('items', 'constructor', 'en'), null)
+    t.is(trans('items', null, 'toString'), null)
+})
+
+test('language fallback chains', async t => {
+    const catalog = {
+        'de-AT': { messages: { january: 'Jänner' } },
+        de: { messages: { january: 'Januar', february: 'Februar', items: '{n, plural, one {# Artikel} other {# Artikel}}' } },
+        en: { messages: { january: 'January', february: 'February', march: 'March', total: 'Total {n, number}' } },
+    }
+    const base = {
+        parent: null,
+        block: {
+            main: async (vars, local, fnc) => [
+                local.lang,
+                local.langs.join(','),
+                await local.trans('january'),
+                await local.trans('february'),
+                await local.trans('march'),
+                await local.trans('april'),
+                await local.trans('items', null, { n: 1000 }),
+                await local.trans('total', null, { n: 1000 }),
+                await fnc.block('legal'),
+                await fnc.render(other),
+            ].join(' | '),
+            legal: () => 'legal',
+            'legal@de': async (vars, local) => `legal@de ${ await local.parent() }`,
+        },
+    }
+    const other = { parent: null, block: { main: (vars, local) => local.langs.join(',') } }
+    const fnc = { trans: createCatalogTrans(catalog) }
+
+    t.is(await render(base, {}, ['de-AT', 'de', 'en'], fnc),
+        'de-AT | de-AT,de,en | Jänner | Februar | March | april | 1.000 Artikel | Total 1,000 | legal@de  | de-AT,de,en')
+    t.is(await render(base, {}, 'en', fnc),
+        'en | en | January | February | March | april | items | Total 1,000 | legal | en')
+    t.is(await render({ parent: base, block: { legal: () => 'page legal' } }, {}, ['de', 'en'], fnc, 'legal'), 'page legal')
+    t.is(await render({ parent: base, block: { 'legal@en': () => 'page legal@en' } }, {}, ['de', 'en'], fnc, 'legal'), 'page legal@en')
+    t.is(await render(compile('{% block legal %}legal{% endblock %}{% block legal@de %}Impressum{% endblock %}'), {}, ['de'], {}, 'legal'), 'Impressum')
+})
+
+test('negotiateLanguages()', t => {
+    t.deepEqual(negotiateLanguages('de-AT,de;q=0.9,en;q=0.8,*;q=0.1', [], 'en'), ['de-AT', 'de', 'en'])
+    t.deepEqual(negotiateLanguages('en;q=0.5, fr-CH, de-at;q=0.7', ['de', 'en'], 'en'), ['de', 'en'])
+    t.deepEqual(negotiateLanguages('fr;q=0', ['de', 'en'], ['en', 'de']), ['en', 'de'])
+    t.deepEqual(negotiateLanguages(null), [])
+    t.deepEqual(negotiateLanguages('<script>, x_y;q=0.5, de', [], 'en'), ['de', 'en'])
+})
+
+test('view engine adapters', async t => {
+    const root = await mkdtemp(join(tmpdir(), 'bit-'))
+    await writeFile(join(root, 'layout.mjs'), `export default { parent: null, block: {
+        main: async (vars, local, fnc) => '<title>' + vars('title') + '</title>' + local.lang + ':' + await local.trans('hello') + '|' + await fnc.block('content'),
+    } }`)
+    await writeFile(join(root, 'page.mjs'), `export default { parent: 'layout', block: { content: (vars) => 'page ' + vars('user') } }`)
+    await writeFile(join(root, 'broken.mjs'), `export default { parent: 'layout', block: { content: () => { throw Error('broken') } } }`)
+    const fnc = { trans: createCatalogTrans({ de: { messages: { hello: 'Hallo' } }, en: { messages: { hello: 'Hello' } } }) }
+    const fetchText = async (url, headers={}) => {
+        const [response] = await once(get(url, { headers: { ...headers, connection: 'close' } }), 'response')
+        let body = ''
+        for await (const chunk of response) body += chunk
+        return [response.statusCode, response.headers['content-type'], body]
+    }
+    const { default: express } = await import('express')
+    const { default: Koa } = await import('koa')
+    const { default: Fastify } = await import('fastify')
+
+    const app = express()
+    app.set('views', root)
+    app.set('view engine', 'mjs')
+    app.engine('mjs', expressEngine({ fnc, lang: 'en' }))
+    app.use(expressLocals({ languages: ['de', 'en'], lang: 'en' }))
+    app.get('/', (req, res) => {
+        res.locals.user = 'ann'
+        res.render('page', { title: 'Express' })
+    })
+    app.get('/de', (req, res) => res.render('page', { title: 'Express', user: 'bob' }))
+    app.get('/fixed', (req, res) => res.render('page', { title: 'Express', user: 'bob', lang: 'en' }))
+    app.get('/broken', (req, res) => res.render('broken'))
+    app.use((error, req, res, next) => res.status(500).send(error.message.split('\n')[0]))
+    const server = app.listen(0, '127.0.0.1')
+    await once(server, 'listening')
+    const expressUrl = `http://127.0.0.1:${ server.address().port }`
+    t.deepEqual(await fetchText(expressUrl), [200, 'text/html; charset=utf-8', '<title>Express</title>en:Hello|page ann'])
+    t.deepEqual(await fetchText(expressUrl + '/de', { 'accept-language': 'de-AT' }), [200, 'text/html; charset=utf-8', '<title>Express</title>de:Hallo|page bob'])
+    t.deepEqual(await fetchText(expressUrl + '/fixed', { 'accept-language': 'de-AT' }), [200, 'text/html; charset=utf-8', '<title>Express</title>en:Hello|page bob'])
+    t.deepEqual(await fetchText(expressUrl + '/broken'), [500, 'text/html; charset=utf-8', 'broken'])
+    server.close()
+
+    const koa = new Koa()
+    koa.use(koaRender({ root, fnc, languages: ['de', 'en'], lang: 'en', stream: true }))
+    koa.use(async ctx => {
+        ctx.state.user = 'koa'
+        await ctx.render('page', { title: 'Koa' })
+    })
+    const koaServer = koa.listen(0, '127.0.0.1')
+    await once(koaServer, 'listening')
+    const koaUrl = `http://127.0.0.1:${ koaServer.address().port }`
+    t.deepEqual(await fetchText(koaUrl, { 'accept-language': 'de-AT,de;q=0.9' }), [200, 'text/html; charset=utf-8', '<title>Koa</title>de:Hallo|page koa'])
+    t.deepEqual(await fetchText(koaUrl, { 'accept-language': 'fr' }), [200, 'text/html; charset=utf-8', '<title>Koa</title>en:Hello|page koa'])
+    koaServer.close()
+
+    const fastify = Fastify()
+    await fastify.register(fastifyView, { root, fnc, languages: ['de', 'en'], lang: 'en' })
+    fastify.get('/', (request, reply) => reply.render('page', { title: 'Fastify', user: 'fay' }))
+    fastify.get('/stream', (request, reply) => reply.render('page', { title: 'Stream', user: 'sam', lang: 'de' }))
+    fastify.get('/broken', (request, reply) => reply.render('broken'))
+    await fastify.listen({ port: 0, host: '127.0.0.1' })
+    const fastifyUrl = `http://127.0.0.1:${ fastify.server.address().port }`
+    t.deepEqual(await fetchText(fastifyUrl, { 'accept-language': 'de' }), [200, 'text/html; charset=utf-8', '<title>Fastify</title>de:Hallo|page fay'])
+    t.deepEqual(await fetchText(fastifyUrl + '/stream'), [200, 'text/html; charset=utf-8', '<title>Stream</title>de:Hallo|page sam'])
+    t.is((await fetchText(fastifyUrl + '/broken'))[0], 500)
+    await fastify.close()
+
+    const streaming = Fastify()
+    await streaming.register(fastifyView, { root, fnc, stream: true })
+    streaming.get('/', (request, reply) => reply.render('page', { title: 'Stream', user: 'sam' }))
+    const response = await streaming.inject({ method: 'GET', url: '/' })
+    t.is(response.body, '<title>Stream</title>:hello|page sam')
+    t.is(response.headers['content-type'], 'text/html; charset=utf-8')
+})
+
+test('filters local.filter() and local.pipe()', async t => {
+    const day = new Date(2024, 0, 2, 15, 4)
+    const base = {
+        parent: null,
+        block: {
+            main: (vars, local) => [
+                local.filter('currency', 1234.5, 'EUR'),
+                local.filter('number', 1234.5),
+                local.filter('percent', 0.25),
+                local.filter('date', day, 'long'),
+                local.filter('list', ['a', 'b', 'c']),
+                local.filter('relative', -1, 'day'),
+                local.pipe('  hello world  ', 'trim', ['truncate', 8], 'upper'),
+                local.pipe('ärger', 'capitalize', 'shout'),
+                local.filter('lang'),
+            ].join(' | '),
+        },
+        fnc: { filters: { shout: value => `${ value }!`, lang: function() { return this.lang } } },
+    }
+    const page = { parent: base, block: {}, fnc: { filters: { shout: value => `${ value }!!` } } }
+
+    t.is(await render(base, {}, 'en'), '€1,234.50 | 1,234.5 | 25% | January 2, 2024 | a, b, and c | yesterday | HELLO W… | Ärger! | en')
+    t.is(await render(page, {}, ['de', 'en']), '1.234,50\u00a0€ | 1.234,5 | 25\u00a0% | 2. Januar 2024 | a, b und c | gestern | HELLO W… | Ärger!! | de')
+    t.is(await render(page, {}, 'en', { filters: { shout: value => `${ value }?`, upper: value => value } }),
+        '€1,234.50 | 1,234.5 | 25% | January 2, 2024 | a, b, and c | yesterday | hello w… | Ärger? | en')
+    t.is((await t.throwsAsync(render({ parent: null, block: { main: (vars, local) => local.filter('toString', 1) } }, {}, 'en'))).cause.message, "unknown filter 'toString'")
+    t.is(builtinFilters.truncate('abc', 5), 'abc')
+})
+
+test('iterate objects, Maps, async iterables, local.loop and emptyBlock', async t => {
+    async function* generate() {
+        yield { name: 'x' }
+        yield { name: 'y' }
+    }
+    const template = {
+        parent: null,
+        block: {
+            main: async (vars, local, fnc) => [
+                await fnc.iterate('item', [{ name: 'a' }, { name: 'b' }, { name: 'c' }], ','),
+                await fnc.iterate('item', { first: { name: 'a' }, second: { name: 'b' } }, ','),
+                await fnc.iterate('item', new Map([[1, { name: 'a' }], [2, { name: 'b' }]]), ','),
+                await fnc.iterate('item', generate(), ','),
+                await fnc.iterate('item', new Set([{ name: 'a' }]), ','),
+                await fnc.iterate('row', [{ cells: [{ name: 'a' }, { name: 'b' }] }, { cells: [] }], ','),
+                await fnc.iterate('item', [], ',', { emptyBlock: 'empty' }),
+                await fnc.iterate('item', null, ',', { emptyBlock: 'empty' }),
+                await local.iterate('item', {}, ','),
+            ].join(' | '),
+            item: (vars, local) => `${ local.vars('name') }:${ local.loop.key }:${ local.index }/${ local.loop.length }`
+                + `${ local.loop.first ? 'F' : '' }${ local.loop.last ? 'L' : '' }:${ local.loop.depth }:${ local.loop.parentLoop?.key ?? '-' }`,
+            row: async (vars, local, fnc) => `[${ await fnc.block('cells', { cells: local.vars('cells') }) }]`,
+            cells: async (vars, local) => local.iterate('item', local.vars('cells'), ';', { emptyBlock: 'empty' }),
+            empty: (vars, local) => `empty:${ local.loop }`,
+        },
+    }
+
+    t.is(await render(template), [
+        'a:0:0/3F:1:-,b:1:1/3:1:-,c:2:2/3L:1:-',
+        'a:first:0/2F:1:-,b:second:1/2L:1:-',
+        'a:1:0/2F:1:-,b:2:1/2L:1:-',
+        'x:0:0/2F:1:-,y:1:1/2L:1:-',
+        'a:0:0/1FL:1:-',
+        '[a:0:0/2F:2:0;b:1:1/2L:2:0],[empty:null]',
+        'empty:null',
+        'empty:null',
+        '',
+    ].join(' | '))
+    t.is((await t.throwsAsync(render({ parent: null, block: { main: (vars, local, fnc) => fnc.iterate('item', 42) } }))).cause.message, 'can not iterate over number')
+})
+
+test('iterate concurrency, sequential and chunk options', async t => {
+    const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+    let running = 0
+    let events = []
+    const template = {
+        parent: null,
+        block: {
+            main: async (vars, local, fnc) => await fnc.iterate('item', vars('items'), ',', vars('options')),
+            item: async (vars, local, fnc) => {
+                running += 1
+                events.push(`${ local.index }:${ running }`)
+                await sleep(10 - local.index)
+                running -= 1
+                return `${ local.vars('id') }${ await fnc.block('nested') }`
+            },
+            nested: async () => {
+                await sleep(1)
+                return '.'
+            },
+        },
+    }
+    const items = [{ id: 'a' }, { id: 'b' }, { id: 'c' }, { id: 'd' }, { id: 'e' }]
+    const renderWith = async (options, stream=false) => {
+        events = []
+        if (!stream) return render(template, { items, options })
+
+        let rendered = ''
+        for await (const chunk of renderStream(template, { items, options })) rendered += chunk
+        return rendered
+    }
+
+    t.is(await renderWith({}), 'a.,b.,c.,d.,e.')
+    t.deepEqual(events, ['0:1', '1:2', '2:3', '3:4', '4:5'])
+    t.is(await renderWith({ concurrency: 2 }), 'a.,b.,c.,d.,e.')
+    t.true(events.every(event => Number(event.split(':')[1]) <= 2))
+    t.is(await renderWith({ sequential: true }), 'a.,b.,c.,d.,e.')
+    t.deepEqual(events, ['0:1', '1:1', '2:1', '3:1', '4:1'])
+    t.is(await renderWith({ sequential: true }, true), 'a.,b.,c.,d.,e.')
+    t.deepEqual(events, ['0:1', '1:1', '2:1', '3:1', '4:1'])
+    t.is(await renderWith({ chunk: 2 }), 'a.,b.,c.,d.,e.')
+    t.deepEqual(events, ['0:1', '1:2', '2:1', '3:2', '4:1'])
+    t.is(await renderWith({ chunk: 3, concurrency: 2 }, true), 'a.,b.,c.,d.,e.')
+    t.deepEqual(events.map(event => event.split(':')[0]), ['0', '1', '2', '3', '4'])
+    t.is((await t.throwsAsync(renderWith({ concurrency: 0 }))).cause.message, "iterate option 'concurrency' has to be a positive integer")
+})
+
+test('render scoped fnc and local.ctx', async t => {
+    const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+    const fnc = { helper: value => `<${ value }>` }
+    const template = {
+        parent: null,
+        block: {
+            main: async (vars, local, fnc) => {
+                await sleep(vars('wait'))
+                const rendered = await fnc.iterate('item', vars('items'))
+
+                return `${ fnc.helper(rendered) }|${ local.ctx.get('ids').join(',') }|${ await fnc.render(nested) }|${ local.ctx.get('count') }`
+            },
+            item: async (vars, local) => {
+                local.ctx.set('ids', [...(local.ctx.get('ids') ?? []), local.vars('id')])
+                local.ctx.set('count', (local.ctx.get('count') ?? 0) + 1)
+
+                return local.vars('id')
+            },
+        },
+    }
+    const nested = { parent: null, block: { main: (vars, local) => {
+        local.ctx.set('count', local.ctx.get('count') + 1)
+
+        return `${ local.ctx.get('ids').length }`
+    } } }
+
+    t.deepEqual(await Promise.all([
+        render(template, { wait: 10, items: [{ id: 'a' }, { id: 'b' }] }, '', fnc),
+        render(template, { wait: 0, items: [{ id: 'c' }] }, '', fnc),
+    ]), ['<ab>|a,b|2|3', '<c>|c|1|2'])
+    t.deepEqual(Object.keys(fnc), ['helper'])
+})
+
+test('transform pipeline', async t => {
+    const layout = {
+        parent: null,
+        block: {
+            main: async (vars, local, fnc) => `<head>${ local.stack('scripts') }</head>  ${ await fnc.block('content') }  `,
+            content: async (vars, local, fnc) => `<p>${ await fnc.block('item') }</p>`,
+            item: (vars, local) => {
+                local.push('scripts', '<script></script>')
+                return 'item'
+            },
+        },
+        fnc: {
+            transform: [
+                { blocks: ['item'], transform: rendered => rendered.toUpperCase() },
+                { final: true, transform: (rendered, lang, entrypoint) => `${ rendered.replace(/<script>/g, '<script nonce="n">') }<!-- ${ entrypoint } -->` },
+            ],
+        },
+    }
+    const page = {
+        parent: layout,
+        block: {},
+        fnc: { transform: (rendered, lang, blockName) => blockName === 'main' ? rendered.trim() : null },
+    }
+    const fnc = { transform: { blocks: ['content', 'item'], transform: rendered => `[${ rendered }]` } }
+    const expected = '<head><script nonce="n"></script></head>  [<p>[ITEM]</p>]<!-- main -->'
+
+    t.is(await render(page, {}, '', fnc), expected)
+
+    let streamed = ''
+    for await (const chunk of renderStream(page, {}, '', fnc)) streamed += chunk
+    t.is(streamed, expected)
+
+    streamed = []
+    for await (const chunk of renderStream({ ...layout, fnc: { transform: layout.fnc.transform[0] } }, {})) streamed.push(chunk)
+    t.deepEqual(streamed, ['<head>', '<script></script></head>  <p>ITEM</p>  '])
+
+    t.is((await t.throwsAsync(render({ parent: null, block: { main: () => 'x' }, fnc: { transform: () => 42 } }))).cause.message, 'a transform has to return a string')
+    t.deepEqual(await validate({ parent: null, block: { main: () => 'x' }, fnc: { transform: [{ blocks: ['main'] }] } }),
+        [{ path: 'anonymous template #0.fnc.transform', message: 'has to be a function, an object with a transform function or an array of these' }])
+})
+
+test('plugins and render.use()', async t => {
+    const events = []
+    const template = {
+        parent: null,
+        block: {
+            main: async (vars, local, fnc) => `${ await fnc.block('cached') }|${ await fnc.block('failing') }|${ await local.trans('hello') }|${ await local.trans('bye') }`,
+            cached: () => 'rendered',
+            failing: () => { throw Error('failed') },
+        },
+        fnc: {
+            trans: (item, category, lang) => item === 'hello' ? `hello ${ lang }` : null,
+            preRender: (lang, blockName) => { events.push(`template:preRender:${ blockName }`) },
+        },
+    }
+    const profiler = {
+        preCall: (lang, blockName) => { events.push(`profiler:preCall:${ blockName }`) },
+        postCall: (lang, blockName) => { events.push(`profiler:postCall:${ blockName }`) },
+    }
+    const cache = {
+        getCache: async (lang, blockName, tpl, vars, local, fnc, next) => blockName === 'cached' ? 'from cache' : await next(),
+        setCache: (rendered, lang, blockName) => { events.push(`cache:setCache:${ blockName }`) },
+    }
+    const errors = {
+        onError: async (e, lang, blockName, tpl, vars, local, fnc, next) => `error:${ e.message }`,
+        trans: async (item, category, lang, blockName, tpl, vars, local, fnc, next) => (await next())?.toUpperCase() ?? null,
+        transform: { final: true, transform: rendered => `[${ rendered }]` },
+    }
+    const globalPlugin = {
+        preCall: (lang, blockName, tpl) => { if (tpl === template) events.push(`global:preCall:${ blockName }`) },
+    }
+
+    const unuse = render.use(globalPlugin)
+    try {
+        t.is(await render(template, {}, 'en', {}, 'main', { plugins: [profiler, cache, errors] }), '[from cache|error:failed|HELLO EN|bye]')
+    } finally {
+        unuse()
+    }
+    t.deepEqual(events, [
+        'global:preCall:main', 'profiler:preCall:main',
+        'template:preRender:main',
+        'global:preCall:cached', 'profiler:preCall:cached', 'profiler:postCall:cached',
+        'global:preCall:failing', 'profiler:preCall:failing', 'template:preRender:failing',
+        'cache:setCache:main', 'profiler:postCall:main',
+    ])
+    t.throws(() => render.use(null), { message: 'a plugin has to be an object' })
+
+    events.length = 0
+    unuse()
+    await render(template, {}, 'en', {}, 'main', { plugins: [errors] })
+    t.deepEqual(events, ['template:preRender:main', 'template:preRender:cached', 'template:preRender:failing'])
+})
+
+test('renderStream() placeholder forgery and onError of an outer block', async t => {
+    const stream = async (...args) => {
+        let streamed = ''
+        for await (const chunk of renderStream(...args)) streamed += chunk
+        return streamed
+    }
+    const template = {
+        parent: null,
+        block: {
+            main: async (vars, local, fnc) => `${ vars('comment') }|${ await fnc.block('nested') }`,
+            nested: () => 'nested',
+        },
+    }
+
+    for (const comment of ['\uE0009\uE001', '\uE0000\uE001', '\uE0001\uE001']) {
+        t.is(await stream(template, { comment }), `${ comment }|nested`)
+    }
+
+    const failing = {
+        parent: null,
+        block: {
+            main: async (vars, local, fnc) => `[ok|${ await fnc.block('failing') }]`,
+            failing: async () => { throw Error('failed') },
+        },
+        fnc: { onError: (e, lang, blockName) => blockName === 'main' ? 'MAIN' : null },
+    }
+
+    t.is(await render(failing), 'MAIN')
+    t.is(await stream(failing), 'MAIN')
+    await t.throwsAsync(stream({ ...failing, fnc: {} }), { message: /^failed/ })
+})
+
+test('compile() loops over objects, Maps and async iterables', async t => {
+    const source = '{% for item in items %}[{{ item.label }}{% for tag in item.tags %}{{ tag }}{{ item.label }}{% endfor %}]{% endfor %}'
+    const tags = async function* () {
+        yield 'x'
+        yield 'y'
+    }
+
+    t.is(await render(compile(source), { items: { a: { label: 'A', tags: ['1'] }, b: { label: 'B', tags: new Set(['2']) } } }), '[A1A][B2B]')
+    t.is(await render(compile(source), { items: new Map([['a', { label: 'A', tags: tags() }]]) }), '[AxAyA]')
+    t.is(await render(compile(source), { items: null }), '')
+    t.deepEqual(Object.keys(compile(source).block), Object.keys(compile(source).block))
+    t.deepEqual(Object.keys(compile(source, { name: 'list' }).block).sort(), ['for#list#2', 'for#list#1', 'main'].sort())
+})
+
+test('block cache of embedded templates', async t => {
+    const card = { name: 'card', parent: null, block: { main: async (vars, local, fnc) => `<div>${ await fnc.block('body') }</div>`, body: () => 'card' } }
+    const overrides = { body: (vars) => `body ${ vars('id') }` }
+    let calls = 0
+    const page = (inline) => ({
+        name: 'page',
+        parent: null,
+        block: {
+            main: async (vars, local, fnc) => {
+                calls += 1
+                vars('uncacheable')
+                return await fnc.embed(card, inline ? { body: overrides.body } : overrides, { id: vars('id') })
+            },
+        },
+    })
+    const renderAll = async (inline) => {
+        const store = lruStore()
+        const cache = createBlockCache(store)
+        const results = []
+
+        calls = 0
+        for (let i = 0; i < 5; i++) results.push(await render(page(inline), { id: 1, uncacheable: () => null }, '', {}, 'main', { cache }))
+
+        return [results, store.size, calls]
+    }
+
+    const [stable, stableSize, stableCalls] = await renderAll(false)
+    t.deepEqual(stable, Array(5).fill('<div>body 1</div>'))
+    t.is(stableCalls, 5)
+    t.is(stableSize, 4)
+
+    const [inline, inlineSize] = await renderAll(true)
+    t.deepEqual(inline, Array(5).fill('<div>body 1</div>'))
+    t.is(inlineSize, 0)
+})
+
+test('asset stack placeholder forgery and cache entries of other processes', async t => {
+    const template = {
+        name: 'stacks',
+        parent: null,
+        block: {
+            main: async (vars, local, fnc) => `${ local.stack('css') }|${ vars('c') }|${ await fnc.block('body') }`,
+            body: (vars, local) => {
+                local.push('css', '<link>')
+                return `${ vars('c') }`
+            },
+        },
+    }
+    const c = 'a\uE002css\uE003b'
+
+    t.is(await render(template, { c }), `<link>|${ c }|${ c }`)
+
+    const store = new Map()
+    const cache = createBlockCache(store)
+
+    t.is(await render(template, { c }, '', {}, 'main', { cache }), `<link>|${ c }|${ c }`)
+    for (const [key, value] of store) {
+        if (!value.startsWith('{')) continue
+        const entry = JSON.parse(value)
+        store.set(key, JSON.stringify({ ...entry, rendered: entry.rendered.split(entry.nonce).join('othernonce'), nonce: 'othernonce' }))
+    }
+    t.is(await render(template, { c }, '', {}, 'main', { cache }), `<link>|${ c }|${ c }`)
+})
+
+test('transforms are applied once to each piece of output', async t => {
+    const partial = { parent: null, block: { main: () => '<img src="/d.png">' } }
+    const template = {
+        parent: null,
+        block: {
+            main: async (vars, local, fnc) => `<img src="/a.png">${ await fnc.block('b') }${ await fnc.render(partial) }`,
+            b: async (vars, local, fnc) => `<img src="/b.png">${ await fnc.block('c') }`,
+            c: (vars, local) => `<img src="/c.png"><script></script>`,
+        },
+        fnc: {
+            transform: [
+                rendered => rendered.replace(/src="\//g, 'src="/cdn/'),
+                { blocks: ['main', 'c'], transform: rendered => rendered.replace(/<script>/g, '<script nonce="n">') },
+            ],
+        },
+    }
+    const expected = '<img src="/cdn/a.png"><img src="/cdn/b.png"><img src="/cdn/c.png"><script nonce="n"></script><img src="/d.png">'
+
+    t.is(await render(template), expected)
+
+    let streamed = ''
+    for await (const chunk of renderStream(template)) streamed += chunk
+    t.is(streamed, expected)
+})
+
+test('final transforms are not applied to nested renderings', async t => {
+    const partial = { parent: null, block: { main: () => '<p>partial</p>' }, fnc: { transform: { final: true, transform: rendered => rendered + '<!--partial-->' } } }
+    const page = { parent: null, block: { main: async (vars, local, fnc) => `<html>${ await fnc.render(partial) }</html>` } }
+    const plugins = [{ transform: { final: true, transform: rendered => rendered + '<!--final-->' } }]
+
+    t.is(await render(page, {}, '', {}, 'main', { plugins }), '<html><p>partial</p></html><!--final-->')
+    t.is(await render(partial, {}, '', {}, 'main', { plugins }), '<p>partial</p><!--partial--><!--final-->')
+})
+
+test('invalid transforms leave no abort listener behind', async t => {
+    const template = { parent: null, block: { main: () => '' } }
+    const controller = new AbortController()
+
+    await t.throwsAsync(render(template, {}, '', { transform: 5 }, 'main', { timeout: 60000, signal: controller.signal }))
+    await t.throwsAsync(async () => {
+        for await (const chunk of renderStream(template, {}, '', { transform: 5 }, 'main', { timeout: 60000, signal: controller.signal })) t.fail(chunk)
+    })
+    t.is(getEventListeners(controller.signal, 'abort').length, 0)
+})
+
+test('transforms keep the placeholders of the nested output', async t => {
+    const template = {
+        parent: null,
+        block: {
+            main: async (vars, local, fnc) => `<head>${ local.stack('head') }</head>${ await fnc.block('content') }`,
+            content: (vars, local) => {
+                local.push('head', '<title>t</title>')
+                return '<p>content</p>'
+            },
+        },
+        fnc: { transform: { blocks: ['main'], transform: rendered => rendered.toUpperCase() } },
+    }
+
+    t.is(await render(template), '<HEAD><title>t</title></HEAD><p>content</p>')
+
+    const dropping = { ...template, fnc: { transform: { blocks: ['main'], transform: () => '<p>replaced</p>' } } }
+    const message = "a transform of block 'main' has changed the placeholder of a nested block or asset stack"
+
+    t.regex((await t.throwsAsync(render(dropping))).message, new RegExp(message))
+    let streamed = ''
+    await t.throwsAsync(async () => {
+        for await (const chunk of renderStream(dropping)) streamed += chunk
+    }, { message: new RegExp(message) })
+    t.false(streamed.includes('\uE000'))
+})
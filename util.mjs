@@ -0,0 +1,20 @@
+/**
+ * block-inheritance-templating
+ * block based template rendering engine
+ *
+ * @package block-inheritance-templating
+ * @link https://github.com/Koudela/block-inheritance-templating/
+ * @copyright Copyright (c) 2022-2025 Thomas Koudela
+ * @license http://opensource.org/licenses/MIT MIT License
+ */
+
+export { isNull }
+
+/**
+ * @param {*} item
+ *
+ * @returns {boolean} True if the item is null or undefined.
+ */
+function isNull(item) {
+    return item === null || typeof item === 'undefined'
+}